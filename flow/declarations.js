@@ -1,7 +1,7 @@
 declare var document: Document;
 
 declare class RouteRegExp extends RegExp {
-  keys: Array<{ name: string, optional: boolean }>;
+  keys: Array<{ name: string, optional: boolean, repeat: boolean, delimiter: string }>;
 }
 
 declare type PathToRegexpOptions = {
@@ -14,22 +14,128 @@ declare module 'path-to-regexp' {
   declare module.exports: {
     (path: string, keys?: Array<?{ name: string }>, options?: PathToRegexpOptions): RouteRegExp;
     compile: (path: string) => (params: Object) => string;
+    parse: (path: string) => Array<string | {
+      name: string | number,
+      prefix: string,
+      delimiter: string,
+      optional: boolean,
+      repeat: boolean,
+      partial: boolean,
+      asterisk: boolean,
+      pattern: string
+    }>;
   }
 }
 
 declare type Dictionary<T> = { [key: string]: T }
 
+declare class AbortSignal {
+  aborted: boolean;
+  reason: any;
+  addEventListener(type: string, listener: Function): void;
+  removeEventListener(type: string, listener: Function): void;
+}
+
+declare class AbortController {
+  signal: AbortSignal;
+  abort(reason?: any): void;
+}
+
 declare type NavigationGuard = (
   to: Route,
   from: Route,
-  next: (to?: RawLocation | false | Function | void) => void
+  next: (to?: RawLocation | false | Function | void) => void,
+  signal?: AbortSignal
 ) => any
 
-declare type AfterNavigationHook = (to: Route, from: Route) => any
+declare type GuardInfo = {
+  type: 'global' | 'record' | 'component';
+  name: string;
+  path?: string;
+  view?: string;
+}
+
+declare type AfterNavigationHook = (to: Route, from: Route, failure?: any) => any
+
+declare type NavigationPhase = 'idle' | 'guards' | 'loading' | 'resolving'
+
+declare type NavigationState = {
+  isNavigating: boolean;
+  pending: ?Route;
+  from: ?Route;
+  phase: NavigationPhase;
+  startTime: ?number;
+}
+
+declare type NavigationEventName =
+  | 'navigation:start'
+  | 'navigation:end'
+  | 'navigation:error'
+  | 'navigation:cancel'
+
+declare type NavigationEvent = {
+  to: Route;
+  from: Route;
+  startTime: number;
+  duration?: number;
+  failure?: any;
+  error?: any;
+}
 
 type Position = { x: number, y: number };
 type PositionResult = Position | { selector: string, offset?: Position } | void;
 
+declare type QueryFormat = {
+  arrays?: 'repeat' | 'brackets' | 'indices' | 'comma';
+  nested?: boolean;
+}
+
+// 存储适配器，与Web Storage的接口保持一致，只需要实现getItem和setItem
+declare type HistoryStorage = {
+  getItem: (key: string) => ?string;
+  setItem: (key: string, value: string) => any;
+}
+
+declare type HistoryStorageOption = 'session' | 'local' | HistoryStorage | false
+
+// 路由记录meta.head中的页面head配置，每一项都可以是接收路由的函数
+declare type RouteHead = {
+  title?: any;
+  description?: any;
+  canonical?: any;
+  meta?: any;
+  link?: any;
+}
+
+declare type HeadOptions = {
+  titleTemplate?: string | (title: string) => string;
+  defaults?: RouteHead;
+}
+
+// 计算得到的页面head
+declare type Head = {
+  title: ?string;
+  meta: Array<Dictionary<string>>;
+  link: Array<Dictionary<string>>;
+}
+
+// 路由变化后的焦点管理和路由播报
+declare type A11yOptions = {
+  focus?: boolean | string | Array<string>;
+  announce?: boolean | (route: Route) => ?string;
+  politeness?: 'polite' | 'assertive';
+  skipSamePath?: boolean;
+  skipPopState?: boolean;
+}
+
+// 异步组件的代码块加载失败时的重试策略
+declare type ChunkLoadRetryOptions = {
+  retries?: number;
+  delay?: number;
+  reload?: boolean;
+  isChunkLoadError?: (error: any) => boolean;
+}
+
 declare type RouterOptions = {
   routes?: Array<RouteConfig>;
   mode?: string;
@@ -39,6 +145,17 @@ declare type RouterOptions = {
   linkExactActiveClass?: string;
   parseQuery?: (query: string) => Object;
   stringifyQuery?: (query: Object) => string;
+  queryFormat?: QueryFormat;
+  rankRoutes?: boolean;
+  trieMatcher?: boolean;
+  modalView?: string;
+  guardTimeout?: number;
+  afterEachOnFailure?: boolean;
+  chunkLoadRetry?: boolean | ChunkLoadRetryOptions;
+  a11y?: boolean | A11yOptions;
+  head?: boolean | HeadOptions;
+  storage?: HistoryStorageOption;
+  storageKey?: string;
   scrollBehavior?: (
     to: Route,
     from: Route,
@@ -46,8 +163,31 @@ declare type RouterOptions = {
   ) => PositionResult | Promise<PositionResult>;
 }
 
+declare type ParamType = {
+  parse: (value: string) => any;
+  stringify: (value: any) => string;
+}
+
+declare type ParamTypeOption =
+  | string
+  | Array<string>
+  | { parse: (value: string) => any, stringify?: (value: any) => string }
+
+declare type QueryField = {
+  type: ParamType;
+  array: boolean;
+  default: any;
+  values: ?Array<any>;
+}
+
+declare type QueryFieldOption =
+  | ParamTypeOption
+  | { type?: ParamTypeOption, array?: boolean, default?: any, values?: Array<any> }
+
 declare type RedirectOption = RawLocation | ((to: Route) => RawLocation)
 
+declare type RouteLoader = (to: Route, from: Route, signal: ?AbortSignal) => ?Object | Promise<?Object>
+
 declare type RouteConfig = {
   path: string;
   name?: string;
@@ -57,8 +197,19 @@ declare type RouteConfig = {
   alias?: string | Array<string>;
   children?: Array<RouteConfig>;
   beforeEnter?: NavigationGuard;
+  loader?: RouteLoader;
+  loaders?: Dictionary<RouteLoader>;
+  loadingComponent?: any;
+  errorComponent?: any;
+  loadingDelay?: number;
+  loadingTimeout?: number;
+  blocking?: boolean;
   meta?: any;
   props?: boolean | Object | Function;
+  params?: Dictionary<ParamTypeOption>;
+  query?: Dictionary<QueryFieldOption>;
+  strictQuery?: boolean;
+  guardTimeout?: number;
   caseSensitive?: boolean;
   pathToRegexpOptions?: PathToRegexpOptions;
 }
@@ -75,8 +226,29 @@ declare type RouteRecord = {
   redirect: ?RedirectOption;
   matchAs: ?string;
   beforeEnter: ?NavigationGuard;
+  loaders: Dictionary<RouteLoader>;
+  loadingComponent: any;
+  errorComponent: any;
+  loadingDelay: number;
+  loadingTimeout: ?number;
+  blocking: boolean;
   meta: any;
   props: boolean | Object | Function | Dictionary<boolean | Object | Function>;
+  paramTypes: ?Dictionary<ParamType>;
+  querySchema: ?Dictionary<QueryField>;
+  strictQuery: boolean;
+  guardTimeout: ?number;
+}
+
+declare type HistoryEntryData = {
+  state?: any;
+  background?: string;
+}
+
+declare type HistoryEntry = {
+  key: ?string;
+  route: Route;
+  position: number;
 }
 
 declare type Location = {
@@ -88,6 +260,8 @@ declare type Location = {
   params?: Dictionary<string>;
   append?: boolean;
   replace?: boolean;
+  state?: any;
+  background?: RawLocation | boolean;
 }
 
 declare type RawLocation = string | Location
@@ -102,4 +276,8 @@ declare type Route = {
   matched: Array<RouteRecord>;
   redirectedFrom?: string;
   meta?: any;
+  state?: any;
+  background?: Route;
+  data?: Object;
+  loaded?: Array<Dictionary<?Object>>;
 }
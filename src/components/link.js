@@ -4,11 +4,13 @@ import { createRoute, isSameRoute, isIncludedRoute } from '../util/route'
 import { extend } from '../util/misc'
 import { normalizeLocation } from '../util/location'
 import { warn } from '../util/warn'
+import { inBrowser } from '../util/dom'
 // ------------RouterLink组件-----------------
 
 // work around weird flow bug
 const toTypes: Array<Function> = [String, Object]
 const eventTypes: Array<Function> = [String, Array]
+const prefetchTypes: Array<Function> = [Boolean, String]
 
 const noop = () => {}
 
@@ -41,6 +43,7 @@ export default {
     exactPath: Boolean, // 是否只匹配路径
     append: Boolean, // 是否追加到当前路由的路径后面
     replace: Boolean, // 是否使用router.replace替换当前路径,而不是router.push
+    back: Boolean, // 上一条历史记录属于当前应用时后退，否则导航到to
     activeClass: String, // 设置激活的class，默认从router.options.linkActiveClass获取
     exactActiveClass: String, // 连接被精准匹配时的class，默认从router.options.linkExactActiveClass获取
     ariaCurrentValue: { // aria-current属性的值
@@ -50,6 +53,47 @@ export default {
     event: { // 触发导航的事件类型，默认是点击
       type: eventTypes,
       default: 'click'
+    },
+    // 预加载目标路由的异步组件的时机：hover（鼠标悬停或获得焦点时，true等同于hover）、
+    // visible（进入可视区域时，不支持IntersectionObserver时退化为hover）、immediate（挂载后立即加载）
+    prefetch: prefetchTypes
+  },
+  mounted () {
+    const mode = getPrefetchMode(this.prefetch)
+    if (mode === 'immediate') {
+      this.prefetchTarget()
+    } else if (mode === 'visible' && supportsIntersectionObserver()) {
+      // 进入可视区域后只需要加载一次，随即停止观察
+      const observer = this._prefetchObserver = new window.IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) {
+          this.prefetchTarget()
+          this.stopObserving()
+        }
+      }, {})
+      observer.observe(this.$el)
+    }
+  },
+  beforeDestroy () {
+    this.stopObserving()
+  },
+  watch: {
+    to () {
+      if (getPrefetchMode(this.prefetch) === 'immediate') {
+        this.prefetchTarget()
+      }
+    }
+  },
+  methods: {
+    // 预加载目标路由的异步组件，加载失败时忽略错误，导航时会重新加载并报告
+    prefetchTarget () {
+      const { location } = this.$router.resolve(this.to, this.$route, this.append)
+      this.$router.prefetch(location).catch(noop)
+    },
+    stopObserving () {
+      if (this._prefetchObserver) {
+        this._prefetchObserver.disconnect()
+        this._prefetchObserver = null
+      }
     }
   },
   render (h: Function) {
@@ -109,7 +153,9 @@ export default {
     const handler = e => {
       // 只有事件满足特定条件下才会接管事件的处理
       if (guardEvent(e)) {
-        if (this.replace) { // 如果设置了replace，则使用router的replace方法
+        if (this.back) { // 如果设置了back，则优先后退，to作为无法后退时的导航目标
+          router.back({ fallback: location, replace: this.replace })
+        } else if (this.replace) { // 如果设置了replace，则使用router的replace方法
           router.replace(location, noop)
         } else { // 否则使用router的push方法
           router.push(location, noop)
@@ -119,7 +165,7 @@ export default {
 
     // --------- 初始化事件绑定对象--------
     // 初始化监听对象，默认监听click事件
-    const on = { click: guardEvent }
+    const on: Object = { click: guardEvent }
     if (Array.isArray(this.event)) { // 传入的事件类型是一个数组，则遍历并绑定事件
       this.event.forEach(e => {
         on[e] = handler
@@ -127,6 +173,9 @@ export default {
     } else { // 不是数组则直接绑定事件
       on[this.event] = handler
     }
+    // 悬停或者获得焦点时预加载目标路由的异步组件，加载结果会被缓存，重复触发没有额外开销
+    // 单独存放，渲染时再与导航事件合并，以免影响下面对a标签子元素事件的处理
+    const prefetchOn = getPrefetchListeners(this.prefetch, () => this.prefetchTarget())
 
     // 初始化data对象，用于存储渲染节点的数据
     const data: any = { class: classes }
@@ -197,7 +246,7 @@ export default {
 
     // ------------渲染标签处理----------------
     if (this.tag === 'a') { // 如果是a标签
-      data.on = on // 则绑定click事件
+      data.on = mergeListeners(on, prefetchOn) // 则绑定click事件
       data.attrs = { href, 'aria-current': ariaCurrentValue }  // 设置href和aria-current属性
     } else { // 如果不是a标签
       // find the first <a> child and apply listener and href
@@ -229,6 +278,7 @@ export default {
             aData.on[event] = handler
           }
         }
+        aData.on = mergeListeners(aData.on, prefetchOn) // 追加预加载的事件监听器
 
         // 设置href和aria-current属性
         const aAttrs = (a.data.attrs = extend({}, a.data.attrs))
@@ -236,7 +286,7 @@ export default {
         aAttrs['aria-current'] = ariaCurrentValue
       } else { // 如果没有找到a标签，则将事件监听器添加到元素本身
         // doesn't have <a> child, apply listener to self
-        data.on = on
+        data.on = mergeListeners(on, prefetchOn)
       }
     }
 
@@ -271,6 +321,39 @@ export function guardEvent (e: any) {
   return true
 }
 
+// 获取预加载的时机，prefetch为true时等同于hover
+export function getPrefetchMode (prefetch: boolean | string | void): ?string {
+  return prefetch === true ? 'hover' : prefetch || null
+}
+
+// 是否支持IntersectionObserver，不支持时visible模式退化为hover
+export function supportsIntersectionObserver (): boolean {
+  return inBrowser && typeof window.IntersectionObserver === 'function'
+}
+
+// 获取悬停预加载的事件监听器，hover和visible模式下在鼠标悬停、获得焦点或触摸时预加载
+export function getPrefetchListeners (prefetch: boolean | string | void, fn: Function): Object {
+  const mode = getPrefetchMode(prefetch)
+  const listeners = {}
+  if (mode === 'hover' || mode === 'visible') {
+    ;['mouseenter', 'focus', 'touchstart'].forEach(e => {
+      listeners[e] = fn
+    })
+  }
+  return listeners
+}
+
+// 合并两个事件监听器对象，同名事件的处理函数合并为数组，返回新的对象
+function mergeListeners (target: Object, listeners: Object): Object {
+  const result = extend({}, target)
+  for (const event in listeners) {
+    result[event] = result[event]
+      ? [].concat(result[event], listeners[event])
+      : listeners[event]
+  }
+  return result
+}
+
 // 从子节点中递归查找第一个a标签
 function findAnchor (children) {
   if (children) {
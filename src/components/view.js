@@ -1,6 +1,9 @@
 import { warn } from '../util/warn'
 import { extend } from '../util/misc'
 import { handleRouteEntered } from '../util/route'
+import { isAsyncComponent } from '../util/resolve-components'
+import { getAsyncViewState } from '../util/async-view'
+import { normalizeChunkLoadRetry } from '../util/chunk-load'
 
 export default {
   name: 'RouterView',
@@ -22,10 +25,25 @@ export default {
     // 为了支持解析命名插槽，使用父节点的createElement方法
     const h = parent.$createElement // 父组件的createElement方法
     const name = props.name // 命名视图的名称
-    const route = parent.$route // 当前路由，当路由更新时，会触发该值改变从而触发router-view组件重新渲染
+    let route = parent.$route // 当前路由，当路由更新时，会触发该值改变从而触发router-view组件重新渲染
+    const router = parent.$router
     // 用于缓存已渲染的组件，用于在keep-alive被激活时取出缓存的组件
     const cache = parent._routerViewCache || (parent._routerViewCache = {}) 
 
+    // 使用了默认的作用域插槽（v-slot="{ Component, route }"）时，由插槽决定如何渲染匹配到的组件，
+    // 如包裹在transition或者keep-alive中
+    // loading和error插槽用于渲染非阻塞的异步组件的加载中和加载失败的状态
+    // 这些插槽属于RouterView自身，不能传递给渲染的组件，其它的作用域插槽仍然传递给组件
+    const scopedSlots = data.scopedSlots || {}
+    const slot = scopedSlots.default
+    const asyncSlots = { loading: scopedSlots.loading, error: scopedSlots.error }
+    if (data.scopedSlots) {
+      data.scopedSlots = extend({}, scopedSlots)
+      delete data.scopedSlots.default
+      delete data.scopedSlots.loading
+      delete data.scopedSlots.error
+    }
+
     // ------------计算当前router-view组件的嵌套深度-------------------
 
     // determine current view depth, also check to see if the tree
@@ -33,8 +51,12 @@ export default {
     // 通过遍历父组件链来确定但概念的RouteView的深度，并检查是否处于keep-alive状态且被激活
     let depth = 0
     let inactive = false
+    let inModal = false // 是否处于渲染模态框的RouterView中
     while (parent && parent._routerRoot !== parent) { // 遍历直至根元素
       const vnodeData = parent.$vnode ? parent.$vnode.data : {}
+      if (vnodeData.routerViewModal) {
+        inModal = true
+      }
       if (vnodeData.routerView) {
         // 如果当前遍历到的组件的$vnode.data上有routerView属性
         // 则说明是RouterView属性
@@ -54,6 +76,21 @@ export default {
     // 记录最后的深度
     data.routerViewDepth = depth
 
+    // ------------背景路由（模态框）-------------------
+
+    // 目标路由带有背景路由时，名称为modalView（默认为modal）的视图使用目标路由的default组件渲染模态框，
+    // 模态框中嵌套的视图同样渲染目标路由，其它的视图则渲染背景路由
+    // 没有背景路由时（如直接打开模态框的地址），按照普通的方式渲染完整的页面
+    const isModalView = !!route.background && !inModal &&
+      name === ((router && router.options.modalView) || 'modal')
+    if (isModalView) {
+      data.routerViewModal = true
+    } else if (route.background && !inModal) {
+      route = route.background
+    }
+    // 路由记录中组件对应的视图名称
+    const viewName = isModalView ? 'default' : name
+
     // -------------keep-alive包裹下的渲染逻辑------------------
 
     // render previous view if the tree is inactive and kept-alive
@@ -65,25 +102,39 @@ export default {
       if (cachedComponent) {
         // #2301
         // pass props
-        if (cachedData.configProps) { // 传递props
-          fillPropsinData(cachedComponent, data, cachedData.route, cachedData.configProps)
+        if (cachedData.configProps || cachedData.loaded) { // 传递props
+          fillPropsinData(cachedComponent, data, cachedData.route, cachedData.configProps, cachedData.loaded)
         }
-        return h(cachedComponent, data, children)
+        return slot
+          ? renderSlot(h, slot, cachedComponent, cachedData.route || route, data, children)
+          : h(cachedComponent, data, children)
       } else { // 没有找到缓存的组件则直接返回一个空的虚拟节点
         // render previous empty view
-        return h()
+        return slot ? renderSlot(h, slot, null, route, data, children) : h()
       }
     }
 
     // ----------------- 普通的渲染逻辑-----------------------
     const matched = route.matched[depth] // 获取匹配到的路由
-    const component = matched && matched.components[name] // 根据视图命名（默认是default）获取匹配到的路由组件
+    let component = matched && matched.components[viewName] // 根据视图命名（默认是default）获取匹配到的路由组件
 
     // render empty node if no matched route or no config component
     // 找不到对应的组件则渲染一个空的节点，并清空缓存
     if (!matched || !component) {
       cache[name] = null
-      return h()
+      return slot ? renderSlot(h, slot, null, route, data, children) : h()
+    }
+
+    // 非阻塞的异步组件在导航时没有被解析，由RouterView加载并渲染加载中或加载失败的状态，
+    // 加载状态是响应式的，加载完成后会重新渲染为解析后的组件
+    if (isAsyncComponent(component) && !matched.blocking) {
+      const retry = normalizeChunkLoadRetry(router && router.options.chunkLoadRetry)
+      const state = getAsyncViewState(component, matched, viewName, retry)
+      if (state) {
+        cache[name] = null
+        return renderAsyncState(h, state, matched, route, asyncSlots)
+      }
+      component = matched.components[viewName]
     }
 
     // cache component 缓存获取到的路由
@@ -98,12 +149,12 @@ export default {
     data.registerRouteInstance = (vm, val) => {
       // val could be undefined for unregistration
       // 获取当前在matched.instances中注册的实例，name是匹配的路由名称
-      const current = matched.instances[name]
+      const current = matched.instances[viewName]
       if (
         (val && current !== vm) || // 如果val存在且当前实例不是vm，则更新为val（注册）
         (!val && current === vm) // 如果val不存在且当前实例时vm，则更新为val（注销）
       ) {
-        matched.instances[name] = val
+        matched.instances[viewName] = val
       }
     }
 
@@ -114,7 +165,7 @@ export default {
     // 该钩子在虚拟节点更新之前调用
     // _:旧的虚拟节点 vnode新的虚拟节点
     ;(data.hook || (data.hook = {})).prepatch = (_, vnode) => {
-      matched.instances[name] = vnode.componentInstance // 将其更新成新的组件实例
+      matched.instances[viewName] = vnode.componentInstance // 将其更新成新的组件实例
     }
 
     // register instance in init hook
@@ -124,9 +175,9 @@ export default {
     data.hook.init = (vnode) => {
       if (vnode.data.keepAlive &&
         vnode.componentInstance &&
-        vnode.componentInstance !== matched.instances[name]
+        vnode.componentInstance !== matched.instances[viewName]
       ) {
-        matched.instances[name] = vnode.componentInstance
+        matched.instances[viewName] = vnode.componentInstance
       }
 
       // if the route transition has already been confirmed then we weren't
@@ -140,30 +191,125 @@ export default {
     }
 
     // ---------处理props---------
-    const configProps = matched.props && matched.props[name] // 获取对应命名视图中的props配置
+    const configProps = matched.props && matched.props[viewName] // 获取对应命名视图中的props配置
+    const loaded = route.loaded && route.loaded[depth][viewName] // 对应命名视图的数据加载函数的结果
     // save route and configProps in cache
-    if (configProps) { // 配置了props
-      // 将当前的route和configProps扩展到对应的缓存对象中
+    if (configProps || loaded) { // 配置了props或者加载了数据
+      // 将当前的route、configProps和加载的数据扩展到对应的缓存对象中
       extend(cache[name], {
         route,
-        configProps
+        configProps,
+        loaded
       })
       // 填充props
-      fillPropsinData(component, data, route, configProps)
+      fillPropsinData(component, data, route, configProps, loaded)
     }
 
     // 传入最终的data，渲染component组件
-    return h(component, data, children)
+    return slot
+      ? renderSlot(h, slot, component, route, data, children)
+      : h(component, data, children)
   }
 }
 
+// 渲染作用域插槽，插槽接收Component和route
+// Component是包装了匹配组件的函数式组件，在插槽中通过<component :is="Component" />渲染时，
+// 会使用RouterView准备好的data（props、注册实例的钩子、深度标记等），并合并在<component>上设置的属性、事件和key
+// 函数式组件会直接返回内部组件的虚拟节点，因此外层的transition和keep-alive能够识别到匹配的组件
+// 没有匹配的组件时Component为null，插槽仍然会被调用，以便transition执行离开的过渡
+function renderSlot (h, slot, component, route, data, children) {
+  let Component = null
+  if (component) {
+    const wrapper = getSlotComponent(component)
+    wrapper.current = { h, data, children } // 包装组件渲染时读取本次渲染的数据
+    Component = wrapper.Component
+  }
+  return slot({ Component, route })
+}
+
+// 包装组件按匹配的组件缓存，每次渲染都返回同一个组件选项，
+// 这样Vue能够复用选项上缓存的构造函数（_Ctor），<component :is>也不会因为选项不同而重新创建组件
+const slotComponents = new WeakMap()
+function getSlotComponent (component) {
+  let wrapper = slotComponents.get(component)
+  if (!wrapper) {
+    const entry = wrapper = { current: null, Component: null }
+    entry.Component = {
+      functional: true,
+      render (_, context) {
+        const { h, data, children } = entry.current
+        const slotChildren = context.children && context.children.length ? context.children : children
+        return h(component, mergeData(data, context.data), slotChildren)
+      }
+    }
+    slotComponents.set(component, wrapper)
+  }
+  return wrapper
+}
+
+// 渲染非阻塞的异步组件的加载状态
+// 加载失败（或超时）时渲染error插槽（接收error、retry和route）或者路由记录的errorComponent（接收error和retry两个props）
+// 加载中且超过了loadingDelay时渲染loading插槽（接收route）或者路由记录的loadingComponent，延迟之内渲染空节点，避免加载很快时闪烁
+function renderAsyncState (h, state, matched, route, slots) {
+  const { error, retry } = state
+  if (error) {
+    if (slots.error) {
+      return slots.error({ error, retry, route })
+    }
+    return matched.errorComponent ? h(matched.errorComponent, { props: { error, retry }}) : h()
+  }
+  if (state.loading && state.pastDelay) {
+    if (slots.loading) {
+      return slots.loading({ route })
+    }
+    return matched.loadingComponent ? h(matched.loadingComponent) : h()
+  }
+  return h()
+}
+
+// 合并RouterView的data和在插槽中渲染Component时设置的data
+function mergeData (data, extra) {
+  const res = extend({}, data)
+  for (const key in extra) {
+    const value = extra[key]
+    if (key === 'hook') { // 保留RouterView注册实例的钩子
+      continue
+    } else if (key === 'attrs' || key === 'props' || key === 'domProps') {
+      res[key] = extend(extend({}, res[key]), value)
+    } else if (key === 'on' || key === 'nativeOn') { // 同名的事件同时保留两边的监听函数
+      const on = res[key] = extend({}, res[key])
+      for (const event in value) {
+        on[event] = on[event] ? [].concat(on[event], value[event]) : value[event]
+      }
+    } else if ((key === 'class' || key === 'style') && res[key]) {
+      res[key] = [res[key], value]
+    } else if (key === 'staticClass' && res[key]) {
+      res[key] = res[key] + ' ' + value
+    } else {
+      res[key] = value
+    }
+  }
+  return res
+}
+
 // 填充props
 // 将route中的params填充到组件的props中
 // 如果组件本身没有声明对应的props属性，则将其传递到组件的attrs中
-function fillPropsinData (component, data, route, configProps) {
+// 数据加载函数的结果只传递组件声明了的props，props配置中的同名属性优先
+function fillPropsinData (component, data, route, configProps, loaded) {
   // resolve props
   // 根据当前路由和configProps配置提取要传递的props
   let propsToPass = data.props = resolveProps(route, configProps) 
+  if (loaded) {
+    const declaredProps = getDeclaredProps(component)
+    const loadedProps = {}
+    for (const key in loaded) {
+      if (declaredProps.indexOf(camelize(key)) > -1) {
+        loadedProps[key] = loaded[key]
+      }
+    }
+    propsToPass = data.props = extend(loadedProps, propsToPass)
+  }
   if (propsToPass) { // 提取到了props
     // clone to prevent mutation
     propsToPass = data.props = extend({}, propsToPass) // 拷贝一个新的对象，防止原始的对象被修改
@@ -179,6 +325,20 @@ function fillPropsinData (component, data, route, configProps) {
     }
   }
 }
+// 获取组件声明的props名称，与Vue一样支持数组和对象两种声明方式，名称转换为驼峰形式
+// Vue.extend创建的构造函数的props在options中
+function getDeclaredProps (component) {
+  const options = typeof component === 'function' && component.options ? component.options : component
+  const props = options.props
+  if (!props) return []
+  return (Array.isArray(props) ? props : Object.keys(props)).map(camelize)
+}
+
+const camelizeRE = /-(\w)/g
+function camelize (str) {
+  return str.replace(camelizeRE, (_, c) => c ? c.toUpperCase() : '')
+}
+
 // 根据配置的props类型，处理传递给组件的props
 // route: 当前路由
 // config: 路由props属性配置
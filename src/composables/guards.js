@@ -1,6 +1,7 @@
 import { getCurrentInstance, onUnmounted } from 'vue'
 import { throwNoCurrentInstance } from './utils'
 import { useRouter } from './globals'
+import { normalizeGuard } from '../util/guards'
 
 /**
  * 定义了Vue 3的组合式API函数onBeforeRouteUpdate和onBeforeRouteLeave，
@@ -99,9 +100,11 @@ function useFilteredGuard (guard, fn) {
       : null
 
   if (depth != null) {
-    const removeGuard = router.beforeEach((to, from, next) => {
+    // 守卫可以使用next或者返回值两种写法，先统一为next的写法
+    const normalizedGuard = normalizeGuard(guard)
+    const removeGuard = router.beforeEach((to, from, next, signal) => {
       // 根据fn的执行结果判断是否定义守卫
-      return fn(to, from, depth) ? guard(to, from, next) : next()
+      return fn(to, from, depth) ? normalizedGuard(to, from, next, signal) : next()
     })
 
     // 组件卸载时移除守卫函数
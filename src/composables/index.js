@@ -1,3 +1,4 @@
 export * from './guards'
 export * from './globals'
 export * from './useLink'
+export * from './navigation'
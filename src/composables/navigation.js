@@ -0,0 +1,28 @@
+import { getCurrentInstance, shallowReactive, effectScope, watch } from 'vue'
+import { throwNoCurrentInstance } from './utils'
+
+/**
+ * 获取当前的导航状态（是否正在导航、目标路由、导航阶段和开始时间），返回的对象是响应式的
+ * 可以用于在守卫、数据加载函数和异步组件解析期间显示加载状态
+ * @returns {Object} - 响应式的导航状态对象
+ */
+export function useNavigationState () {
+  if (process.env.NODE_ENV !== 'production') {
+    throwNoCurrentInstance('useNavigationState')
+  }
+
+  const root = getCurrentInstance().proxy.$root // 获取根组件实例
+  // 与useRoute一样，所有组件共享根组件上的同一个响应式对象
+  if (!root._$navigation) {
+    root._$navigation = effectScope(true).run(() => {
+      const state = shallowReactive(Object.assign({}, root.$router.navigationState))
+      // 根组件上的_navigation属性是响应式的，导航状态变化时同步更新
+      watch(() => root._navigation, value => {
+        Object.assign(state, value)
+      }, { flush: 'sync' })
+      return state
+    })
+  }
+
+  return root._$navigation
+}
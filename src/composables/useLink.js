@@ -1,5 +1,10 @@
-import { computed, unref } from 'vue' // 导入Vue的computed和unref函数
-import { guardEvent } from '../components/link' // 导入guardEvent函数
+import { computed, unref, onMounted, onBeforeUnmount, watch, getCurrentInstance } from 'vue' // 导入Vue的组合式API函数
+import {
+  guardEvent,
+  getPrefetchMode,
+  getPrefetchListeners,
+  supportsIntersectionObserver
+} from '../components/link' // 导入事件守卫以及预加载相关的函数
 import { throwNoCurrentInstance } from './utils' // 导入throwNoCurrentInstance函数
 import { useRouter, useRoute } from './globals' // 导入useRouter和useRoute函数
 
@@ -12,10 +17,10 @@ function includesParams (outer, inner) {
   for (const key in inner) { // 遍历内部对象的所有键
     const innerValue = inner[key]
     const outerValue = outer[key]
-    if (typeof innerValue === 'string') { 
-      // 字符串则直接比较，不相等，则返回false
-      if (innerValue !== outerValue) return false
-    } else { // 如果不是字符串
+    if (!Array.isArray(innerValue)) {
+      // 不是数组则直接比较（声明了参数类型时可能是数字、日期等），不相等，则返回false
+      if (!isSameParamValue(innerValue, outerValue)) return false
+    } else { // 如果是数组
       if (
         !Array.isArray(outerValue) || // 如果外部对象当前键对应的值不是数组
         outerValue.length !== innerValue.length || // 是数组但长度不同
@@ -28,6 +33,20 @@ function includesParams (outer, inner) {
 
   return true // 否则返回true
 }
+/**
+ * 比较两个参数值是否相同，日期类型的参数（见路由配置中的params）比较其时间
+ * @param {*} a 参数值a
+ * @param {*} b 参数值b
+ * @returns {boolean} 如果参数值相同，则返回true；否则返回false
+ */
+function isSameParamValue (a, b) {
+  return a === b || (
+    a instanceof Date &&
+    b instanceof Date &&
+    a.getTime() === b.getTime()
+  )
+}
+
 // helpers from vue router 4
 /**
  * 比较两个路由位置参数的值是否相同
@@ -40,7 +59,7 @@ function isSameRouteLocationParamsValue (a, b) {
     ? isEquivalentArray(a, b) // 则比较a数组与b是否等价
     : Array.isArray(b) // 如果b是数组
       ? isEquivalentArray(b, a) // 则比较b数组与a是否等价
-      : a === b // 否则直接比较a和b是否相等
+      : isSameParamValue(a, b) // 否则直接比较a和b是否相等
 }
 
 /**
@@ -117,11 +136,45 @@ export function useLink (props) {
     }
     return Promise.resolve() // 否则返回一个已解决的Promise
   }
+  // 预加载目标路由的异步组件，加载失败时忽略错误，导航时会重新加载并报告
+  const prefetch = () => router.prefetch(resolvedRoute.value.location).catch(() => {})
+  const prefetchMode = getPrefetchMode(unref(props.prefetch))
+  if (prefetchMode === 'immediate') {
+    // 挂载后以及目标路由变化时立即预加载
+    onMounted(() => {
+      prefetch()
+      watch(() => resolvedRoute.value.href, prefetch)
+    })
+  } else if (prefetchMode === 'visible' && supportsIntersectionObserver()) {
+    // 与RouterLink一致，观察组件的根元素，进入可视区域后预加载一次并停止观察
+    const instance = getCurrentInstance()
+    let observer = null
+    const stopObserving = () => {
+      if (observer) {
+        observer.disconnect()
+        observer = null
+      }
+    }
+    onMounted(() => {
+      observer = new window.IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) {
+          prefetch()
+          stopObserving()
+        }
+      })
+      observer.observe(instance.proxy.$el)
+    })
+    onBeforeUnmount(stopObserving)
+  }
+  // hover和visible模式下需要绑定到链接元素上的事件监听器，例如v-on="prefetchListeners"
+  const prefetchListeners = getPrefetchListeners(prefetchMode, prefetch)
   return { // 返回包含链接相关信息和导航函数的对象
     href: computed(() => resolvedRoute.value.href), // 解析后路由的href
     route: computed(() => resolvedRoute.value.route), // 解析后路由的信息
     isExactActive, // 是否精确处于激活状态
     isActive, // 是否处于激活状态
-    navigate // 导航函数
+    navigate, // 导航函数
+    prefetch, // 预加载函数
+    prefetchListeners // 悬停预加载的事件监听器
   }
 }
\ No newline at end of file
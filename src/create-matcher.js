@@ -4,20 +4,27 @@ import type VueRouter from './index'
 import { resolvePath } from './util/path'
 import { assert, warn } from './util/warn'
 import { createRoute } from './util/route'
-import { fillParams } from './util/params'
+import { fillParams, castParams } from './util/params'
 import { createRouteMap } from './create-route-map'
 import { normalizeLocation } from './util/location'
 import { decode } from './util/query'
+import { extend } from './util/misc'
+import { rankPathList } from './util/rank'
+import { createRouteTrie } from './create-route-trie'
+
+import type { RouteTrie } from './create-route-trie'
 
 export type Matcher = {
   match: (raw: RawLocation, current?: Route, redirectedFrom?: Location) => Route;
   addRoutes: (routes: Array<RouteConfig>) => void;
   addRoute: (parentNameOrRoute: string | RouteConfig, route?: RouteConfig) => void;
   getRoutes: () => Array<RouteRecord>;
+  removeRoute: (name: string) => Array<RouteRecord>;
+  hasRoute: (name: string) => boolean;
 };
 // 创建路由匹配器
 // 1. 创建pathList,pathMap，nameMap相关的路由映射对象
-// 2. 返回一个包含addRoute, addRoutes, getRoutes和match方法的对象用于管理路由
+// 2. 返回一个包含addRoute, addRoutes, removeRoute, hasRoute, getRoutes和match方法的对象用于管理路由
 export function createMatcher (
   routes: Array<RouteConfig>,
   router: VueRouter
@@ -26,9 +33,36 @@ export function createMatcher (
   const { pathList, pathMap, nameMap } = createRouteMap(routes)
   // console.log(pathList, pathMap, nameMap)
 
+  // 开启了trieMatcher时，使用前缀树查找候选路由，只对候选路由进行正则匹配
+  // 前缀树在路径列表变化后失效，在下一次匹配时重新创建
+  let trie: ?RouteTrie = null
+
+  // 路径列表发生变化后调用
+  // 开启了路由排名时，按照路由的分数对路径列表进行排序，匹配时会优先匹配分数高的路由
+  // 否则按照声明的顺序进行匹配（通配符路由始终在最后）
+  const updatePathList = () => {
+    if (router.options.rankRoutes) {
+      rankPathList(pathList, pathMap)
+    }
+    trie = null
+  }
+  updatePathList()
+
+  // 获取可能匹配目标路径的路由路径列表
+  function getCandidatePaths (path: string): Array<string> {
+    if (!router.options.trieMatcher) {
+      return pathList
+    }
+    if (!trie) {
+      trie = createRouteTrie(pathList)
+    }
+    return trie.lookup(path)
+  }
+
   // 动态添加多个路由，修改路由映射对象
   function addRoutes (routes) {
     createRouteMap(routes, pathList, pathMap, nameMap)
+    updatePathList()
   }
 
   /**
@@ -55,6 +89,68 @@ export function createMatcher (
         parent
       )
     }
+    updatePathList()
+  }
+
+  /**
+   * 移除命名路由记录
+   * 会同时移除该记录的所有子路由记录以及指向它们的别名路由记录
+   * @param {string} name 要移除的路由的名称
+   * @returns {Array<RouteRecord>} 被移除的路由记录列表
+   */
+  function removeRoute (name: string): Array<RouteRecord> {
+    const record = nameMap[name]
+    if (!record) {
+      if (process.env.NODE_ENV !== 'production') {
+        warn(false, `Cannot remove non-existent route "${String(name)}"`)
+      }
+      return []
+    }
+
+    // 判断路由记录是否需要被移除
+    // 沿着父级链向上查找，满足以下任一条件则需要移除：
+    // 1. 是要移除的记录本身或其子孙记录
+    // 2. 是父路由别名下创建的同名副本记录（见addRoute中对父路由别名的处理）
+    // 3. 是指向要移除的记录（或其子孙记录）的别名记录
+    const shouldRemove = (r: RouteRecord): boolean => {
+      for (let p = r; p; p = p.parent) {
+        if (p === record || p.name === name) return true
+        if (p.matchAs != null) {
+          const target = pathMap[p.matchAs] || (p.matchAs === '/' ? pathMap[''] : null)
+          if (target && target !== p && shouldRemove(target)) return true
+        }
+      }
+      return false
+    }
+
+    // 先收集再删除，避免删除过程中别名记录找不到其指向的记录
+    const removed = pathList
+      .map(path => pathMap[path])
+      .filter(shouldRemove)
+
+    removed.forEach(r => {
+      const index = pathList.indexOf(r.path)
+      if (index > -1) pathList.splice(index, 1)
+      delete pathMap[r.path]
+      // 只删除指向被移除记录的命名映射，别名下的同名副本不会覆盖nameMap中原有的记录
+      if (r.name && nameMap[r.name] === r) {
+        delete nameMap[r.name]
+      }
+    })
+
+    // 命名映射中的记录不一定在pathMap中（如path重复的命名路由），单独再检查一次
+    if (nameMap[name] === record) {
+      delete nameMap[name]
+      removed.indexOf(record) < 0 && removed.push(record)
+    }
+
+    updatePathList()
+    return removed
+  }
+
+  // 检查是否存在指定名称的路由
+  function hasRoute (name: string): boolean {
+    return !!nameMap[name]
   }
 
   // 获取路由列表
@@ -103,17 +199,28 @@ export function createMatcher (
       }
 
       // 在路径中填充参数
-      location.path = fillParams(record.path, location.params, `named route "${name}"`)
+      location.path = fillParams(record.path, location.params, `named route "${name}"`, record.paramTypes)
+      // 将参数转换为声明的类型，参数值无法被解析时则不匹配该路由
+      if (record.paramTypes && !castParams(location.params, record.paramTypes)) {
+        if (process.env.NODE_ENV !== 'production') {
+          warn(false, `invalid params for named route "${name}": ${JSON.stringify(location.params)}`)
+        }
+        return _createRoute(null, location)
+      }
       return _createRoute(record, location, redirectedFrom) // 创建并返回新的路由对象
     } else if (location.path) { // 按路径查找路由
+      const targetPath = location.path
+      // 开启了trieMatcher时，只遍历前缀树查找到的候选路由，顺序与路径列表一致
+      const candidates = getCandidatePaths(targetPath)
       location.params = {}
       // 遍历路由路径映射列表，查找匹配的路径
-      for (let i = 0; i < pathList.length; i++) {
-        const path = pathList[i]
+      // 开启了路由排名时，路径列表已经按照分数排好序了
+      for (let i = 0; i < candidates.length; i++) {
+        const path = candidates[i]
         const record = pathMap[path]
         // 检查路径是否匹配，匹配时会将匹配的参数提取到params对象中
         // 如果匹配成功则将参则创建路由对象并返回
-        if (matchRoute(record.regex, location.path, location.params)) {
+        if (matchRoute(record.regex, targetPath, location.params, record.paramTypes)) {
           return _createRoute(record, location, redirectedFrom)
         }
       }
@@ -169,20 +276,22 @@ export function createMatcher (
         name,
         query,
         hash,
-        params
+        params,
+        state: location.state
       }, undefined, location)
     } else if (path) { // 使用path重定向
       // 1. resolve relative redirect 转为绝对路径
       const rawPath = resolveRecordPath(path, record)
       // 2. resolve params 处理并填充参数
-      const resolvedPath = fillParams(rawPath, params, `redirect route with path "${rawPath}"`)
+      const resolvedPath = fillParams(rawPath, params, `redirect route with path "${rawPath}"`, record.paramTypes)
       // 3. rematch with existing query and hash
       // 使用路径和查询参数等生成路由对象返回
       return match({
         _normalized: true,
         path: resolvedPath,
         query,
-        hash
+        hash,
+        state: location.state
       }, undefined, location)
     } else { // 既没有name也没有path则输出警告并返回未匹配的路由对象
       if (process.env.NODE_ENV !== 'production') {
@@ -199,7 +308,7 @@ export function createMatcher (
     matchAs: string
   ): Route {
     // 给路径填充参数
-    const aliasedPath = fillParams(matchAs, location.params, `aliased route with path "${matchAs}"`)
+    const aliasedPath = fillParams(matchAs, location.params, `aliased route with path "${matchAs}"`, record.paramTypes)
     // 按路径查找路由并生成路由对象
     const aliasedMatch = match({
       _normalized: true,
@@ -239,16 +348,20 @@ export function createMatcher (
   return {
     match,
     addRoute,
+    removeRoute,
+    hasRoute,
     getRoutes,
     addRoutes
   }
 }
 // 检查给定的路径是否匹配路由的正表达式
 // 并在匹配时将路由参数提取到params对象中
+// 如果路由声明了参数类型，参数值无法被解析时也认为不匹配
 function matchRoute (
   regex: RouteRegExp, // 路由对象的正则表达式
   path: string, // 要匹配的路径
-  params: Object // 用于存储匹配到的路径参数的对象
+  params: Object, // 用于存储匹配到的路径参数的对象
+  paramTypes?: ?Dictionary<ParamType> // 路由声明的参数类型
 ): boolean {
   const m = path.match(regex) // 匹配路径
 
@@ -258,6 +371,8 @@ function matchRoute (
     return true
   }
 
+  // 先将参数提取到临时对象中，确保不匹配时不会污染params对象
+  const matchedParams = {}
   // 提取参数（0索引时完整的匹配字符串）
   for (let i = 1, len = m.length; i < len; ++i) {
     const key = regex.keys[i - 1] // 参数名称
@@ -266,10 +381,24 @@ function matchRoute (
       // 将匹配到的参数值解码并存储到params对象中
       // 当使用通配符路径时，key.name不存在，在配置了props:true时，会生成一个名称为0的prop
       // 因此给一个统一的名称pathMatch避免此问题
-      params[key.name || 'pathMatch'] = typeof m[i] === 'string' ? decode(m[i]) : m[i]
+      const name = key.name || 'pathMatch'
+      const value = m[i]
+      // 声明了类型的可重复参数（如/:ids+）按分隔符拆分为数组后再逐个转换类型，先拆分再解码，避免编码的分隔符被拆分
+      // 未声明类型的可重复参数保持原来的行为，值为拼接在一起的字符串
+      matchedParams[name] = typeof value !== 'string'
+        ? value
+        : key.repeat && paramTypes && paramTypes[name]
+          ? value.split(key.delimiter).map(decode)
+          : decode(value)
     }
   }
 
+  // 将参数转换为声明的类型，参数值无法被解析时则不匹配
+  if (paramTypes && !castParams(matchedParams, paramTypes)) {
+    return false
+  }
+
+  extend(params, matchedParams)
   // 返回匹配成功
   return true
 }
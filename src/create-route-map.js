@@ -3,6 +3,8 @@
 import Regexp from 'path-to-regexp'
 import { cleanPath } from './util/path'
 import { assert, warn } from './util/warn'
+import { normalizeParamTypes } from './util/params'
+import { normalizeQuerySchema } from './util/query'
 
 // 创建路由表映射
 // 将路由配置数组转换为一个包含pathList,pathMap,nameMap三个属性的路由表映射对象
@@ -122,13 +124,28 @@ function addRouteRecord (
     matchAs, // 路由指向的实际路由路径
     redirect: route.redirect, // 路由跳转
     beforeEnter: route.beforeEnter, // 路由前置守卫
+    loadingComponent: route.loadingComponent, // 非阻塞的异步组件加载中显示的组件
+    errorComponent: route.errorComponent, // 非阻塞的异步组件加载失败时显示的组件
+    loadingDelay: route.loadingDelay != null ? route.loadingDelay : 200, // 显示加载中组件之前的延迟
+    loadingTimeout: route.loadingTimeout, // 加载超时的时间，超时后显示加载失败的组件
+    // 导航是否等待异步组件加载完成，配置了加载中或者加载失败的组件时默认不等待
+    blocking: route.blocking != null ? route.blocking : !(route.loadingComponent || route.errorComponent),
+    loaders: route.loaders || (route.loader ? { default: route.loader } : {}), // 命名视图的数据加载函数，默认是default
     meta: route.meta || {}, // 路由元信息
     props:
       route.props == null
         ? {}
         : route.components
           ? route.props
-          : { default: route.props } // props
+          : { default: route.props }, // props
+    paramTypes: normalizeParamTypes(route.params, parent && parent.paramTypes), // 参数类型，会继承父路由的参数类型
+    querySchema: normalizeQuerySchema(route.query, parent && parent.querySchema), // 查询参数声明，会继承父路由的声明
+    strictQuery: typeof route.strictQuery === 'boolean'
+      ? route.strictQuery
+      : !!(parent && parent.strictQuery), // 是否丢弃未声明的查询参数，未设置时继承父路由
+    guardTimeout: route.guardTimeout != null
+      ? route.guardTimeout
+      : parent && parent.guardTimeout // 导航守卫的超时时间，未设置时继承父路由
   }
 
   // 添加子路由
@@ -0,0 +1,70 @@
+/* @flow */
+
+// 基于路径段的前缀树（trie），用于在路由数量很多时减少需要进行正则匹配的路由
+// 每条路由路径开头的静态路径段会被索引到前缀树中，遇到第一个动态路径段（参数、通配符等）时停止
+// 查找时沿着目标路径的路径段向下遍历前缀树，只有遍历经过的节点上的路由才有可能匹配目标路径
+// 最终仍然会对这些候选路由执行正则匹配，因此匹配结果与逐个匹配完全一致
+
+type RouteTrieNode = {
+  children: Dictionary<RouteTrieNode>, // 子节点，以小写的静态路径段为键
+  indexes: Array<number> // 静态前缀在此结束的路由在pathList中的索引
+}
+
+export type RouteTrie = {
+  lookup: (path: string) => Array<string>
+}
+
+// 静态路径段中不能包含path-to-regexp的特殊字符
+const dynamicSegmentRE = /[:*()?+\\]/
+
+// 根据路径列表创建路由前缀树
+// pathList中的顺序决定了匹配的优先级，查找得到的候选路由会保持这个顺序
+export function createRouteTrie (pathList: Array<string>): RouteTrie {
+  const root = createNode()
+
+  pathList.forEach((path, index) => {
+    let node = root
+    const segments = splitPath(path)
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i]
+      // 遇到动态的路径段则停止，后续的路径段只能通过正则匹配
+      if (dynamicSegmentRE.test(segment)) break
+      // 路由默认是大小写不敏感的，统一使用小写作为键
+      // 大小写敏感的路由可能因此成为多余的候选路由，但最终会被正则匹配过滤掉
+      const key = segment.toLowerCase()
+      node = node.children[key] || (node.children[key] = createNode())
+    }
+    node.indexes.push(index)
+  })
+
+  // 查找可能匹配目标路径的候选路由路径
+  function lookup (path: string): Array<string> {
+    let indexes = root.indexes
+    let node = root
+    const segments = splitPath(path)
+    for (let i = 0; i < segments.length; i++) {
+      node = node.children[segments[i].toLowerCase()]
+      if (!node) break
+      indexes = indexes.concat(node.indexes)
+    }
+    // 按照在pathList中的顺序返回，保证匹配的优先级不变
+    return indexes.sort((a, b) => a - b).map(index => pathList[index])
+  }
+
+  return {
+    lookup
+  }
+}
+
+function createNode (): RouteTrieNode {
+  return {
+    // $flow-disable-line
+    children: Object.create(null),
+    indexes: []
+  }
+}
+
+// 将路径拆分成路径段，忽略空的路径段（开头、末尾以及重复的/）
+function splitPath (path: string): Array<string> {
+  return path.split('/').filter(segment => segment)
+}
@@ -3,6 +3,8 @@
 import type Router from '../index'
 import { History } from './base'
 import { NavigationFailureType, isNavigationFailure } from '../util/errors'
+import { getRouteEntryData } from '../util/push-state'
+import { handleRouteA11y } from '../util/a11y'
 
 /**
  * 抽象历史记录类，提供了路由历史管理的基础功能
@@ -37,6 +39,7 @@ export class AbstractHistory extends History {
         // 更新历史记录栈，只保留当前index之前的记录，并在最后添加新的route
         this.stack = this.stack.slice(0, this.index + 1).concat(route)
         this.index++
+        this.saveStack()
         onComplete && onComplete(route)
       },
       onAbort
@@ -55,6 +58,7 @@ export class AbstractHistory extends History {
       route => {
         // 更新历史记录栈，移除当前index后的所有记录，并在最后添加新的route
         this.stack = this.stack.slice(0, this.index).concat(route)
+        this.saveStack()
         onComplete && onComplete(route)
       },
       onAbort
@@ -78,16 +82,21 @@ export class AbstractHistory extends History {
       () => {
         const prev = this.current
         this.index = targetIndex
+        this.saveStack()
         this.updateRoute(route)
         // 触发路由转换后的钩子函数
         // 基类中的afterHooks钩子是在transitionTo执行的，所以这里需要手动执行afterHooks钩子
-        this.router.afterHooks.forEach(hook => {
-          hook && hook(route, prev)
-        })
+        this.runAfterHooks(route, prev)
+        // 内存模式在浏览器中使用时，前进后退同样需要处理焦点和播报
+        handleRouteA11y(this.router, route, prev, true)
       },
       err => {
         if (isNavigationFailure(err, NavigationFailureType.duplicated)) {
           this.index = targetIndex
+          this.saveStack()
+        }
+        if (isNavigationFailure(err)) {
+          this.runAfterHooks(route, this.current, err)
         }
       }
     )
@@ -102,6 +111,36 @@ export class AbstractHistory extends History {
     return current ? current.fullPath : '/'
   }
 
+  /**
+   * 获取当前路由的导航状态和背景路由，与getCurrentLocation取相同的记录
+   */
+  getEntryData (): ?HistoryEntryData {
+    const current = this.stack[this.stack.length - 1]
+    return current ? getRouteEntryData(current) : null
+  }
+
+  /**
+   * 获取历史记录列表，直接由历史记录栈生成
+   */
+  getEntries (): Array<HistoryEntry> {
+    return this.stack.map((route, position) => ({ key: String(position), route, position }))
+  }
+
+  /**
+   * 获取当前路由在历史记录栈中的位置
+   */
+  getCurrentIndex (): number {
+    return this.index
+  }
+
+  /**
+   * 历史记录栈或者当前位置发生变化后调用，默认不执行任何操作
+   * 子类（如MemoryHistory）可以重写该方法以保存历史记录栈
+   */
+  saveStack () {
+    // noop
+  }
+
   /**
    * 确保当前URL与当前路由匹配，目前不执行任何操作
    */
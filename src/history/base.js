@@ -9,24 +9,36 @@ import { START, isSameRoute, handleRouteEntered } from '../util/route'
 import {
   flatten,
   flatMapComponents,
-  resolveAsyncComponents
+  resolveAsyncComponents,
+  isAsyncComponent
 } from '../util/resolve-components'
 import {
   createNavigationDuplicatedError,
   createNavigationCancelledError,
   createNavigationRedirectedError,
   createNavigationAbortedError,
+  createNavigationTimeoutError,
   isError,
   isNavigationFailure,
   NavigationFailureType
 } from '../util/errors'
 import { handleScroll } from '../util/scroll'
+import { normalizeGuard, describeGuard } from '../util/guards'
+import { extend } from '../util/misc'
+import { createAbortController } from '../util/abort'
+import { now } from '../util/state-key'
+import { resolveLoaders } from '../util/loaders'
+import { handleRouteA11y } from '../util/a11y'
 // 历史记录基类
 export class History {
   router: Router // 关联的路由器实例
   base: string // 基础路径，通过normalizeBase处理规范化
   current: Route // 当前的路由，初始化为START(初始状态)
   pending: ?Route // 当前正在处理的路由
+  pendingController: ?AbortController // 当前正在处理的导航的AbortController
+  pendingEvent: ?NavigationEvent // 当前正在处理的导航的navigation:start事件对象
+  navigationState: NavigationState // 导航状态，每次变化都会生成新的冻结对象
+  navigationCb: ?(state: NavigationState) => void // 导航状态变化的监听回调函数
   cb: (r: Route) => void // 路由更新监听的回调函数
   ready: boolean // 是否已经初始化完成
   readyCbs: Array<Function> // 路由准备好的后的回调函数数组
@@ -34,6 +46,9 @@ export class History {
   errorCbs: Array<Function> // 错误回调函数数组
   listeners: Array<Function> // 事件监听器数组
   cleanupListeners: Function
+  entries: Array<{ key: ?string, route: Route }> // 应用内访问过的历史记录列表
+  entryIndex: number // 当前历史记录在entries中的位置
+  entryAction: ?('push' | 'replace' | 'pop') // 最近一次导航引起的历史记录变化
 
   // implemented by sub-classes
   // 由子类实现的方法列表
@@ -54,11 +69,17 @@ export class History {
     // start with a route object that stands for "nowhere"
     this.current = START // 默认的当前路由
     this.pending = null
+    this.pendingController = null
+    this.pendingEvent = null
+    this.navigationState = IDLE
     this.ready = false
     this.readyCbs = []
     this.readyErrorCbs = []
     this.errorCbs = []
     this.listeners = []
+    this.entries = []
+    this.entryIndex = -1
+    this.entryAction = null
   }
 
   // 注册一个回调函数，在路由更新时调用
@@ -66,6 +87,20 @@ export class History {
     this.cb = cb
   }
 
+  // 注册一个回调函数，在导航状态变化时调用
+  listenNavigation (cb: (state: NavigationState) => void) {
+    this.navigationCb = cb
+  }
+
+  /**
+   * 更新导航状态并执行导航状态变化的监听回调
+   * @param state 新的导航状态
+   */
+  updateNavigationState (state: NavigationState) {
+    this.navigationState = Object.freeze(state)
+    this.navigationCb && this.navigationCb(this.navigationState)
+  }
+
   // 注册路由准备好的回调函数和错误的回调函数
   onReady (cb: Function, errorCb: ?Function) {
     if (this.ready) { // 已经是准备好的状态，则直接执行
@@ -99,7 +134,7 @@ export class History {
     // 捕获重定向选项处理的错误
     // 当传入redirect时，可能会抛出错误，错误需要被onError捕获
     try {
-      route = this.router.match(location, this.current)
+      route = this.matchBackground(location, this.router.match(location, this.current))
     } catch (e) { // 遍历错误回调并执行
       this.errorCbs.forEach(cb => {
         cb(e)
@@ -113,13 +148,14 @@ export class History {
     this.confirmTransition(
       route, // 要跳转的目标路由
       () => {
+        this.entryAction = null
         this.updateRoute(route) // 更新当前路由为目标路由
-        onComplete && onComplete(route) // 执行跳转完成回调
+        onComplete && onComplete(route) // 执行跳转完成回调，子类会在其中记录历史记录的变化
         this.ensureURL() // 确保浏览器地址显示正确的URL
         // 遍历执行全局的路由后置守卫，接收当前路由和前一个路由
-        this.router.afterHooks.forEach(hook => {
-          hook && hook(route, prev)
-        })
+        this.runAfterHooks(route, prev)
+        // 开启了a11y选项时，视图更新后移动焦点并播报新页面的标题
+        handleRouteA11y(this.router, route, prev, this.entryAction === 'pop')
 
         // fire ready cbs once
         // 标记为已准备状态并执行准备完成回调
@@ -134,6 +170,10 @@ export class History {
         if (onAbort) { // 执行中断回调
           onAbort(err)
         }
+        // 开启了afterEachOnFailure时，导航失败也会执行全局的后置守卫
+        if (isNavigationFailure(err)) {
+          this.runAfterHooks(route, prev, err)
+        }
         // 如果是在准备阶段就发生了错误
         if (err && !this.ready) {
           // Initial redirection should not mark the history as ready yet
@@ -162,23 +202,50 @@ export class History {
   // 确认路由过渡
   confirmTransition (route: Route, onComplete: Function, onAbort?: Function) {
     const current = this.current // 当前路由
+    // 新的导航会取代尚未确认的导航，立即中止其守卫和异步组件中尚未完成的请求
+    const pending = this.pending
+    if (pending) {
+      const failure = createNavigationCancelledError(current, pending)
+      this.abortController(this.pendingController, failure)
+      this.settleNavigation(this.pendingEvent, failure)
+    }
     this.pending = route // 待处理的路由
+    // 触发导航开始事件，导航结束时根据结果触发navigation:end、navigation:error或navigation:cancel事件
+    const event: NavigationEvent = { to: route, from: current, startTime: now() }
+    this.pendingEvent = event
+    this.updateNavigationState({
+      isNavigating: true,
+      pending: route,
+      from: current,
+      phase: 'guards',
+      startTime: event.startTime
+    })
+    this.router.emit('navigation:start', event)
+    // 本次导航的AbortController，其signal会传递给守卫和异步组件的加载函数
+    const controller = createAbortController()
+    const signal = controller ? controller.signal : undefined
+    this.pendingController = controller
     // 中断函数
     const abort = err => {
+      // 导航被取消、中止、重定向或者发生错误时，中止signal
+      this.abortController(controller, err)
+      this.settleNavigation(event, err)
       // changed after adding errors with
       // https://github.com/vuejs/vue-router/pull/3047 before that change,
       // redirect and aborted navigation would produce an err == null
       // 如果错误是一个普通错误，不是导航类型的错误
-      if (!isNavigationFailure(err) && isError(err)) {
+      // 代码块重试后仍然加载失败时，与没有配置重试时一样将原始的错误报告给错误回调
+      const uncaught = isNavigationFailure(err, NavigationFailureType.chunkLoad) ? err.cause : err
+      if (!isNavigationFailure(uncaught) && isError(uncaught)) {
         if (this.errorCbs.length) { // 遍历错误回调并执行
           this.errorCbs.forEach(cb => {
-            cb(err)
+            cb(uncaught)
           })
         } else { // 没有传错误回到则提醒并在控制台打印出错误
           if (process.env.NODE_ENV !== 'production') {
             warn(false, 'uncaught error during route navigation:')
           }
-          console.error(err)
+          console.error(uncaught)
         }
       }
       // 无论啥错误都会执行中断回调
@@ -190,6 +257,7 @@ export class History {
     const lastCurrentIndex = current.matched.length - 1 // 目前匹配中的最后一个路由
     if (
       isSameRoute(route, current) && // 相同路由
+      isSameBackground(route, current) && // 相同的背景路由
       // in the case the route map has been dynamically appended to
       lastRouteIndex === lastCurrentIndex && // 两个路由层级深度一致
       route.matched[lastRouteIndex] === current.matched[lastCurrentIndex] // 两个路由最终指向同一个路由记录
@@ -203,25 +271,43 @@ export class History {
     }
 
     // 获取要更新、激活和失活的路由
-    const { updated, deactivated, activated } = resolveQueue(
+    const { updated, deactivated: leaving, activated: entering } = resolveQueue(
       this.current.matched,
       route.matched
     )
+    // 作为背景路由继续渲染的路由记录不会失活，也不执行离开守卫（如打开模态框时的列表页）
+    // 同样，之前作为背景路由渲染的路由记录也不会再次激活（如关闭模态框回到列表页）
+    // 背景路由中的异步组件需要在导航确认之前解析
+    const background = route.background
+    const deactivated = background
+      ? leaving.filter(record => background.matched.indexOf(record) < 0)
+      : leaving
+    const currentBackground = current.background
+    const activated = currentBackground
+      ? entering.filter(record => currentBackground.matched.indexOf(record) < 0)
+      : entering
 
     // 提取并合并导航守卫队列
     const queue: Array<?NavigationGuard> = [].concat(
       // in-component leave guards
       extractLeaveGuards(deactivated), // 失活组件的离开守卫：beforeRouteLeave
       // global before hooks
-      this.router.beforeHooks, // 全局的前置守卫 beforeEach
+      normalizeGlobalGuards(this.router.beforeHooks, 'beforeEach'), // 全局的前置守卫 beforeEach
       // in-component update hooks
       extractUpdateHooks(updated), // 复用组件的更新守卫 beforeRouteUpdate
       // in-config enter guards
-      activated.map(m => m.beforeEnter), // 激活路由配置里的独享进入守卫 beforeEnter
+      extractRecordGuards(activated), // 激活路由配置里的独享进入守卫 beforeEnter
+      // 守卫执行完成，开始加载数据和异步组件
+      this.enterPhase(route, 'loading'),
+      // route loaders
+      resolveLoaders(route, current), // 并行执行目标路由的数据加载函数
       // async components
-      resolveAsyncComponents(activated) // 激活的异步组件解析
+      resolveAsyncComponents(background ? activated.concat(background.matched) : activated, this.router) // 激活的异步组件解析
     )
 
+    // 导航守卫的超时时间，为0或者没有配置时不限制
+    const guardTimeout = getGuardTimeout(route, this.router.options)
+
     // 迭代器函数，用于执行守卫函数
     const iterator = (hook: NavigationGuard, next) => {
       // 检查当前处理的路由是否与传入的route一致，不一致则中止导航
@@ -232,10 +318,32 @@ export class History {
       if (this.pending !== route) { 
         return abort(createNavigationCancelledError(current, route))
       }
+      // 守卫在超时时间内没有调用next（或者返回的Promise没有完成），则以超时中止导航
+      // 只有附加了描述信息的守卫会计时，异步组件的解析不受限制
+      const guardInfo = (hook: any).guardInfo
+      let timedOut = false
+      let timer
+      if (guardTimeout && guardInfo) {
+        timer = setTimeout(() => {
+          // 之后守卫再调用next不再产生影响，避免同一个导航被中止两次
+          timedOut = true
+          // 导航已经被新的导航取代，与迭代器中的检查一样以取消中止导航，不能再修改URL
+          if (this.pending !== route) {
+            return abort(createNavigationCancelledError(current, route))
+          }
+          this.ensureURL(true)
+          abort(createNavigationTimeoutError(current, route, guardInfo, guardTimeout))
+        }, guardTimeout)
+      }
       try {
-        // 使用hookName: (to, from, next)
-        // 执行守卫，接收目标路由，当前路由和下一步执行的行数
+        // 使用hookName: (to, from, next, signal)
+        // 执行守卫，接收目标路由，当前路由，下一步执行的行数和导航的signal
         hook(route, current, (to: any) => {
+          // 已经超时的守卫再调用next不再产生影响
+          if (timedOut) {
+            return
+          }
+          clearTimeout(timer)
           if (to === false) { // 调用了next(false)，表示要中止导航
             // next(false) -> abort navigation, ensure current URL
             // 确保导航，如果浏览器的URL改变了（可能是手动或者浏览器后退），那么会重置到current路由对应的地址
@@ -264,8 +372,9 @@ export class History {
             // confirm transition and pass on the value
             next(to)
           }
-        })
+        }, signal)
       } catch (e) { // 执行期间发生错误
+        clearTimeout(timer)
         abort(e)
       }
     }
@@ -278,7 +387,9 @@ export class History {
       // wait until async components are resolved before
       // extracting in-component enter guards
       const enterGuards = extractEnterGuards(activated) // 提取激活组件内部的beforeRouteEnter守卫
-      const queue = enterGuards.concat(this.router.resolveHooks) // 提取全局解析守卫beforeResolve拼接在后面
+      const queue = [this.enterPhase(route, 'resolving')] // 数据和异步组件加载完成，开始执行解析阶段的守卫
+        .concat(enterGuards)
+        .concat(normalizeGlobalGuards(this.router.resolveHooks, 'beforeResolve')) // 提取全局解析守卫beforeResolve拼接在后面
 
       // 执行全局的beforeRouteEnter和beforeResolve守卫
       runQueue(queue, iterator, () => {
@@ -286,6 +397,10 @@ export class History {
           return abort(createNavigationCancelledError(current, route))
         }
         this.pending = null // 重置当前等待处理的路由，表示此时导航已被确认
+        this.pendingController = null // 导航已完成，signal不会再被中止
+        // 在完成回调之前结束导航，完成回调（afterEach、push的回调等）中可能同步发起新的导航，
+        // 新的导航会替换pendingEvent，之后再结束就无法触发navigation:end了
+        this.settleNavigation(event)
         // 导航确认完成回调
         // 回调中会调用全局的afterEach守卫
         // 更新当前路由，出发DOM更新
@@ -302,6 +417,80 @@ export class History {
     })
   }
 
+  /**
+   * 中止导航的AbortController
+   * @param controller 导航的AbortController，不支持时为null
+   * @param reason 导致导航中止的导航失败或者错误，会作为signal.reason
+   */
+  abortController (controller: ?AbortController, reason: any) {
+    if (!controller) {
+      return
+    }
+    if (this.pendingController === controller) {
+      this.pendingController = null
+    }
+    if (!controller.signal.aborted) {
+      controller.abort(reason)
+    }
+  }
+
+  /**
+   * 执行全局的后置守卫
+   * 导航失败（重定向、中止、取消、重复、超时）时，只有开启了afterEachOnFailure选项才会执行，并将导航失败作为第三个参数传入
+   * @param route 目标路由
+   * @param prev 导航之前的路由
+   * @param failure 导航失败，导航成功时为undefined
+   */
+  runAfterHooks (route: Route, prev: Route, failure?: any) {
+    if (failure && !this.router.options.afterEachOnFailure) {
+      return
+    }
+    this.router.afterHooks.forEach(hook => {
+      hook && hook(route, prev, failure)
+    })
+  }
+
+  /**
+   * 返回一个更新导航阶段的守卫，插入到守卫队列中以标记阶段的切换
+   * @param route 目标路由
+   * @param phase 导航阶段
+   */
+  enterPhase (route: Route, phase: NavigationPhase): NavigationGuard {
+    return (to, from, next) => {
+      const state = this.navigationState
+      if (state.pending === route) {
+        this.updateNavigationState(extend(extend({}, state), { phase }))
+      }
+      next()
+    }
+  }
+
+  /**
+   * 结束导航并触发对应的导航生命周期事件，每次导航只会结束一次
+   * @param event 导航开始时创建的事件对象
+   * @param err 导航失败时的错误，导航失败（如取消、重定向）触发navigation:cancel，其它错误触发navigation:error
+   */
+  settleNavigation (event: ?NavigationEvent, err?: any) {
+    // 已经结束的导航（如被新的导航取代后，其守卫才调用next）不再触发事件
+    if (!event || this.pendingEvent !== event) {
+      return
+    }
+    this.pendingEvent = null
+    this.updateNavigationState(IDLE)
+    const settled: NavigationEvent = extend({}, event)
+    settled.duration = now() - event.startTime
+    if (err === undefined) {
+      this.router.emit('navigation:end', settled)
+    } else if (isNavigationFailure(err) && !isNavigationFailure(err, NavigationFailureType.chunkLoad)) {
+      // 代码块重试后仍然加载失败不是用户取消的导航，按照错误报告
+      settled.failure = err
+      this.router.emit('navigation:cancel', settled)
+    } else {
+      settled.error = err
+      this.router.emit('navigation:error', settled)
+    }
+  }
+
   // 更新当前路由并执行路由更新的监听回调
   updateRoute (route: Route) {
     this.current = route
@@ -313,6 +502,118 @@ export class History {
     // Default implementation is empty
   }
 
+  // 处理目标位置中指定的背景路由（background），如在列表页之上以模态框的形式打开详情页
+  // 背景路由保存在目标路由对象的background属性上，RouterView会使用它渲染模态框之外的视图
+  // background为true时使用当前路由作为背景路由，当前路由本身也有背景路由时（在模态框之间切换）则沿用它
+  matchBackground (location: RawLocation, route: Route): Route {
+    const background = typeof location === 'object' ? location.background : null
+    if (!background) {
+      return route
+    }
+    let backgroundRoute
+    if (background === true) {
+      const current = this.current
+      if (current === START) { // 没有当前路由，只能直接渲染目标路由
+        return route
+      }
+      backgroundRoute = current.background || current
+    } else {
+      backgroundRoute = this.router.match(background, this.current)
+    }
+    const res = extend(extend({}, route), { background: backgroundRoute })
+    // extend只复制可枚举的属性，不可枚举的loaded需要单独带上，否则模态框的数据加载函数不会执行
+    if (route.loaded) {
+      Object.defineProperty(res, 'loaded', { value: route.loaded })
+    }
+    return Object.freeze(res)
+  }
+
+  // 获取当前历史记录中保存的导航状态和背景路由，默认没有，子类可以提供实现覆盖
+  getEntryData (): ?HistoryEntryData {
+    return null
+  }
+
+  // 获取当前的位置，带上历史记录中保存的导航状态和背景路由，用于前进后退以及页面刷新后恢复
+  getCurrentRawLocation (): RawLocation {
+    const path = this.getCurrentLocation()
+    const data = this.getEntryData()
+    return data ? { path, state: data.state, background: data.background } : path
+  }
+
+  // 获取当前浏览器历史记录的唯一标识，用于在前进后退时找到对应的记录，默认没有标识，子类可以提供实现覆盖
+  getEntryKey (): ?string {
+    return null
+  }
+
+  // 记录导航引起的历史记录变化
+  // push：在当前位置之后添加一条记录，并丢弃当前位置之后的所有记录
+  // replace：替换当前位置的记录
+  // pop：前进或者后退到已有的记录
+  recordEntry (route: Route, action: 'push' | 'replace' | 'pop') {
+    const key = this.getEntryKey()
+    const entries = this.entries
+    const entry = { key, route }
+    this.entryAction = action
+
+    if (action === 'push' || (action === 'replace' && this.entryIndex < 0)) {
+      this.entries = entries.slice(0, this.entryIndex + 1).concat(entry)
+      this.entryIndex = this.entries.length - 1
+      return
+    }
+    if (action === 'replace') {
+      entries[this.entryIndex] = entry
+      return
+    }
+
+    // 优先通过标识查找记录，没有标识时（如不支持pushState的hash模式），根据路径判断是前进还是后退了一步
+    let index = -1
+    if (key) {
+      for (let i = 0; i < entries.length; i++) {
+        if (entries[i].key === key) {
+          index = i
+          break
+        }
+      }
+    } else {
+      const prev = entries[this.entryIndex - 1]
+      const next = entries[this.entryIndex + 1]
+      if (prev && prev.route.fullPath === route.fullPath) {
+        index = this.entryIndex - 1
+      } else if (next && next.route.fullPath === route.fullPath) {
+        index = this.entryIndex + 1
+      }
+    }
+
+    if (index < 0) {
+      // 进入了没有记录过的历史记录（如刷新页面之前的记录），无法知道它与已有记录的位置关系，从它重新开始记录
+      this.entries = [entry]
+      this.entryIndex = 0
+    } else {
+      entries[index] = entry
+      this.entryIndex = index
+    }
+  }
+
+  // 获取应用内访问过的历史记录列表，position是记录在列表中的位置
+  getEntries (): Array<HistoryEntry> {
+    return this.entries.map(({ key, route }, position) => ({ key, route, position }))
+  }
+
+  // 获取当前历史记录在列表中的位置
+  getCurrentIndex (): number {
+    return this.entryIndex
+  }
+
+  // 后退是否仍然停留在应用内
+  canGoBack (): boolean {
+    return this.getCurrentIndex() > 0
+  }
+
+  // 前进是否仍然停留在应用内
+  canGoForward (): boolean {
+    return this.getCurrentIndex() < this.getEntries().length - 1
+  }
+
   // 清理事件监听器并重置路由
   teardown () {
     // clean up event listeners
@@ -324,12 +625,39 @@ export class History {
     this.listeners = []
 
     // reset current history route
-    // 重置当前路由
+    // 重置当前路由，并中止尚未确认的导航
     // https://github.com/vuejs/vue-router/issues/3294
+    const pending = this.pending
+    if (pending) {
+      const failure = createNavigationCancelledError(this.current, pending)
+      this.abortController(this.pendingController, failure)
+      this.settleNavigation(this.pendingEvent, failure)
+    }
     this.current = START
     this.pending = null
+    this.entries = []
+    this.entryIndex = -1
+  }
+}
+// 没有正在处理的导航时的导航状态
+const IDLE: NavigationState = Object.freeze({
+  isNavigating: false,
+  pending: null,
+  from: null,
+  phase: 'idle',
+  startTime: null
+})
+
+// 两个路由的背景路由是否相同
+function isSameBackground (a: Route, b: Route): boolean {
+  const aBackground = a.background
+  const bBackground = b.background
+  if (!aBackground || !bBackground) {
+    return aBackground === bBackground
   }
+  return isSameRoute(aBackground, bBackground)
 }
+
 // 规范化base
 function normalizeBase (base: ?string): string {
   // 如果没有传入base，则在浏览器中先尝试从base标签解析
@@ -389,6 +717,9 @@ function resolveQueue (
     deactivated: current.slice(i)
   }
 }
+// 已经提醒过守卫不会被调用的非阻塞异步组件
+const warnedAsyncDefs: Array<Function> = []
+
 // 从路由记录中提取特定类型的导航守卫，并对这些导航守卫进行绑定处理
 function extractGuards (
   records: Array<RouteRecord>, // 一个包含多个路由记录的数组
@@ -399,14 +730,32 @@ function extractGuards (
   // 遍历所有的路由记录的components中的组件，执行给定的处理函数
   // 返回
   const guards = flatMapComponents(records, (def, instance, match, key) => {
+    // 非阻塞的路由记录中的异步组件不会在导航时解析，尚未加载完成的组件没有守卫可以提取
+    // 这些组件内的守卫不会被调用，需要时应使用阻塞的路由或者提前预加载
+    if (isAsyncComponent(def)) {
+      // 每个加载函数只提醒一次
+      if (process.env.NODE_ENV !== 'production' && warnedAsyncDefs.indexOf(def) < 0) {
+        warnedAsyncDefs.push(def)
+        warn(
+          false,
+          `The async component ${key} of route "${match.path}" is not loaded yet because the route is non-blocking, ` +
+          `its in-component guards (such as ${name}) will not be called. ` +
+          `Set blocking: true or prefetch the route if they are needed.`
+        )
+      }
+      return
+    }
     const guard = extractGuard(def, name) //  从组件构造函数中提取导航守卫
 
     // 将提取到的守卫绑定到对应的组件实例中
     // 传入的参数依次为match:当前的路由, key:命名视图的名称
+    // 守卫会先统一为next的写法再进行绑定，并附加描述信息
     if (guard) { 
-      return Array.isArray(guard)
-        ? guard.map(guard => bind(guard, instance, match, key))
-        : bind(guard, instance, match, key)
+      const bindGuard = guard => {
+        const bound = bind(normalizeGuard(guard), instance, match, key)
+        return bound && describeGuard(bound, { type: 'component', name, path: match.path, view: key })
+      }
+      return Array.isArray(guard) ? guard.map(bindGuard) : bindGuard(guard)
     }
   })
   // 根据是否需要反转顺序，返回拍平后的守卫数组
@@ -430,6 +779,25 @@ function extractGuard (
   return def.options[key]
 }
 
+// 将全局守卫统一为next的写法并附加描述信息，已移除的全局守卫（null）保持不变
+function normalizeGlobalGuards (guards: Array<?NavigationGuard>, name: string): Array<?NavigationGuard> {
+  return guards.map(guard => guard && describeGuard(normalizeGuard(guard), { type: 'global', name }))
+}
+
+// 提取激活路由配置里的独享守卫beforeEnter，统一为next的写法并附加描述信息
+function extractRecordGuards (activated: Array<RouteRecord>): Array<?NavigationGuard> {
+  return activated.map(record => {
+    const guard = record.beforeEnter
+    return guard && describeGuard(normalizeGuard(guard), { type: 'record', name: 'beforeEnter', path: record.path })
+  })
+}
+
+// 获取导航守卫的超时时间，目标路由配置的超时时间优先于路由器的配置
+function getGuardTimeout (route: Route, options: RouterOptions): ?number {
+  const record = route.matched[route.matched.length - 1]
+  return record && record.guardTimeout != null ? record.guardTimeout : options.guardTimeout
+}
+
 // 提取失活的组件的beforeRouteLeave钩子，该钩子是反向执行，也就是从里到外的执行
 function extractLeaveGuards (deactivated: Array<RouteRecord>): Array<?Function> {
   return extractGuards(deactivated, 'beforeRouteLeave', bindGuard, true)
@@ -471,7 +839,7 @@ function bindEnterGuard (
   key: string
 ): NavigationGuard {
   // 返回一个新的导航守卫函数
-  return function routeEnterGuard (to, from, next) {
+  return function routeEnterGuard (to, from, next, signal) {
     // 函数执行时会执行原始的导航守卫
     // 并用一个自定义的回调函数包裹next函数
     return guard(to, from, cb => {
@@ -487,6 +855,6 @@ function bindEnterGuard (
       }
       // 执行next函数
       next(cb)
-    })
+    }, signal)
   }
 }
@@ -5,7 +5,15 @@ import { History } from './base'
 import { cleanPath } from '../util/path'
 import { getLocation } from './html5'
 import { setupScroll, handleScroll } from '../util/scroll'
-import { pushState, replaceState, supportsPushState } from '../util/push-state'
+import {
+  pushState,
+  replaceState,
+  supportsPushState,
+  getHistoryStateKey,
+  getHistoryEntryData,
+  hasBackState,
+  syncStateKey
+} from '../util/push-state'
 
 // 基于浏览器hash的历史记录类
 export class HashHistory extends History {
@@ -47,14 +55,16 @@ export class HashHistory extends History {
       if (!ensureSlash()) { 
         return
       }
+      syncStateKey()
       // 执行路由过渡过渡
-      this.transitionTo(getHash(), route => {
+      this.transitionTo(this.getCurrentRawLocation(), route => {
+        this.recordEntry(route, 'pop') // 记录前进后退到的历史记录
         if (supportsScroll) { // 处理滚动行为，并指示当前路由变化是因为popstate事件引起的
           handleScroll(this.router, route, current, true)
         }
         // 不支持pushState，手动更新hash部分
         if (!supportsPushState) {
-          replaceHash(route.fullPath)
+          replaceHash(route.fullPath, route)
         }
       })
     }
@@ -77,7 +87,8 @@ export class HashHistory extends History {
     this.transitionTo(
       location,
       route => { // 成功回调
-        pushHash(route.fullPath) // 浏览器历史记录压入一个新的记录
+        pushHash(route.fullPath, route) // 浏览器历史记录压入一个新的记录
+        this.recordEntry(route, 'push') // 记录新的历史记录
         handleScroll(this.router, route, fromRoute, false) // 处理滚动
         onComplete && onComplete(route) // 过渡完成回调
       },
@@ -90,7 +101,8 @@ export class HashHistory extends History {
     this.transitionTo(
       location,
       route => {
-        replaceHash(route.fullPath) // 替换当前历史记录到目标path
+        replaceHash(route.fullPath, route) // 替换当前历史记录到目标path
+        this.recordEntry(route, 'replace') // 替换当前的历史记录
         handleScroll(this.router, route, fromRoute, false) // 处理滚动
         onComplete && onComplete(route) // 过渡完成回调
       },
@@ -108,7 +120,7 @@ export class HashHistory extends History {
     const current = this.current.fullPath
     if (getHash() !== current) {
       // 添加或替换为新的path
-      push ? pushHash(current) : replaceHash(current)
+      push ? pushHash(current, this.current) : replaceHash(current, this.current)
     }
   }
 
@@ -116,6 +128,21 @@ export class HashHistory extends History {
   getCurrentLocation () {
     return getHash()
   }
+
+  // 获取history.state中保存的导航状态和背景路由，不支持pushState时无法保存
+  getEntryData (): ?HistoryEntryData {
+    return getHistoryEntryData()
+  }
+
+  // 使用history.state中的状态键作为历史记录的标识，不支持pushState时没有标识
+  getEntryKey (): ?string {
+    return getHistoryStateKey()
+  }
+
+  // 已记录的历史记录之外，刷新页面之前的上一条记录也可能属于当前应用，通过history.state中的标记判断
+  canGoBack (): boolean {
+    return super.canGoBack() || (this.getCurrentIndex() <= 0 && hasBackState())
+  }
 }
 
 // 将URL的path不为/#开头的，重定向到以/#开头的地址
@@ -166,9 +193,9 @@ function getUrl (path) {
 }
 
 // 浏览器push一个新的URL
-function pushHash (path) {
+function pushHash (path, route) {
   if (supportsPushState) {
-    pushState(getUrl(path))
+    pushState(getUrl(path), false, route)
   } else {
     window.location.hash = path
   }
@@ -176,9 +203,9 @@ function pushHash (path) {
 
 // 修改浏览器的URL到指定的hash模式的路径
 // 优先使用history API的replaceState，该方法不会强制刷新页面
-function replaceHash (path) {
+function replaceHash (path, route) {
   if (supportsPushState) { // 支持history API则替换路径为生成的url
-    replaceState(getUrl(path))
+    replaceState(getUrl(path), route)
   } else { // 重定向到生成的url
     window.location.replace(getUrl(path))
   }
@@ -5,7 +5,15 @@ import { History } from './base'
 import { cleanPath } from '../util/path'
 import { START } from '../util/route'
 import { setupScroll, handleScroll } from '../util/scroll'
-import { pushState, replaceState, supportsPushState } from '../util/push-state'
+import {
+  pushState,
+  replaceState,
+  supportsPushState,
+  getHistoryStateKey,
+  getHistoryEntryData,
+  hasBackState,
+  syncStateKey
+} from '../util/push-state'
 
 // 基于History API的的历史记录管理类
 export class HTML5History extends History {
@@ -43,8 +51,10 @@ export class HTML5History extends History {
         return
       }
 
+      syncStateKey()
       // 执行过渡
-      this.transitionTo(location, route => {
+      this.transitionTo(this.getCurrentRawLocation(), route => {
+        this.recordEntry(route, 'pop') // 记录前进后退到的历史记录
         if (supportsScroll) { // 处理滚动
           handleScroll(router, route, current, true)
         }
@@ -66,7 +76,8 @@ export class HTML5History extends History {
   push (location: RawLocation, onComplete?: Function, onAbort?: Function) {
     const { current: fromRoute } = this
     this.transitionTo(location, route => {
-      pushState(cleanPath(this.base + route.fullPath)) // 跳转到目标path
+      pushState(cleanPath(this.base + route.fullPath), false, route) // 跳转到目标path
+      this.recordEntry(route, 'push') // 记录新的历史记录
       handleScroll(this.router, route, fromRoute, false) // 处理滚动
       onComplete && onComplete(route) // 完成回调
     }, onAbort)
@@ -76,7 +87,8 @@ export class HTML5History extends History {
   replace (location: RawLocation, onComplete?: Function, onAbort?: Function) {
     const { current: fromRoute } = this
     this.transitionTo(location, route => {
-      replaceState(cleanPath(this.base + route.fullPath))
+      replaceState(cleanPath(this.base + route.fullPath), route)
+      this.recordEntry(route, 'replace') // 替换当前的历史记录
       handleScroll(this.router, route, fromRoute, false) // 处理滚动
       onComplete && onComplete(route) // 完成回调
     }, onAbort)
@@ -87,7 +99,7 @@ export class HTML5History extends History {
   ensureURL (push?: boolean) {
     if (getLocation(this.base) !== this.current.fullPath) {
       const current = cleanPath(this.base + this.current.fullPath)
-      push ? pushState(current) : replaceState(current)
+      push ? pushState(current, false, this.current) : replaceState(current, this.current)
     }
   }
 
@@ -95,6 +107,21 @@ export class HTML5History extends History {
   getCurrentLocation (): string {
     return getLocation(this.base)
   }
+
+  // 获取history.state中保存的导航状态和背景路由
+  getEntryData (): ?HistoryEntryData {
+    return getHistoryEntryData()
+  }
+
+  // 使用history.state中的状态键作为历史记录的标识
+  getEntryKey (): ?string {
+    return getHistoryStateKey()
+  }
+
+  // 已记录的历史记录之外，刷新页面之前的上一条记录也可能属于当前应用，通过history.state中的标记判断
+  canGoBack (): boolean {
+    return super.canGoBack() || (this.getCurrentIndex() <= 0 && hasBackState())
+  }
 }
 
 // 返回当前页面地址相对与base的路径
@@ -0,0 +1,206 @@
+/* @flow */
+
+import type Router from '../index'
+import { AbstractHistory } from './abstract'
+import { inBrowser } from '../util/dom'
+import { warn } from '../util/warn'
+import { extend } from '../util/misc'
+import { getRouteEntryData } from '../util/push-state'
+import { NavigationFailureType, isNavigationFailure } from '../util/errors'
+import { copyLoaderResults } from '../util/loaders'
+
+// 序列化后的历史记录栈
+type SerializedStack = {
+  index: number,
+  entries: Array<{ fullPath: string, state?: any, background?: string }>
+}
+
+const DEFAULT_STORAGE_KEY = 'vue-router-memory'
+
+/**
+ * 可持久化的内存历史记录类
+ * 与AbstractHistory一样不会修改页面的URL，但会将历史记录栈、当前位置以及每条记录的导航状态（route.state）和背景路由保存到存储适配器中
+ * 路由器初始化时从存储中恢复，页面刷新后仍然停留在原来的位置
+ */
+export class MemoryHistory extends AbstractHistory {
+  storage: ?HistoryStorage // 存储适配器
+  storageKey: string // 存储时使用的键
+  restoreRedirect: ?number // 恢复时被守卫重定向的历史记录位置，随后的重定向导航会替换这条记录
+
+  /**
+   * @param router 路由器实例
+   * @param base 可选的路由前缀
+   */
+  constructor (router: Router, base: ?string) {
+    super(router, base)
+    const { storage, storageKey } = router.options
+    this.storage = resolveStorage(storage === undefined ? 'session' : storage)
+    this.storageKey = storageKey || DEFAULT_STORAGE_KEY
+    this.restoreRedirect = null
+    this.readStack()
+  }
+
+  /**
+   * 从存储中读取历史记录栈，路由记录在此时还不能依赖当前路由，因此直接使用匹配器进行匹配
+   */
+  readStack () {
+    const data = this.readStorage()
+    if (!data || !Array.isArray(data.entries) || !data.entries.length) {
+      return
+    }
+    const matcher = this.router.matcher
+    this.stack = data.entries.map(entry => {
+      const location = toLocation(entry.fullPath, entry)
+      return this.matchBackground(location, matcher.match(location))
+    })
+    this.index = Math.min(Math.max(data.index, 0), this.stack.length - 1)
+  }
+
+  /**
+   * 恢复到存储中记录的当前位置，在路由器初始化时调用
+   * 会重新执行一次完整的导航（包括守卫和异步组件的解析），完成后使用新的路由对象替换栈中的记录
+   */
+  restore () {
+    const entry = this.stack[this.index]
+    if (!entry) {
+      return
+    }
+    this.restoreTo(toLocation(entry.fullPath, getRouteEntryData(entry)), this.index)
+  }
+
+  /**
+   * 导航到恢复的位置，完成后替换栈中index处的记录，不会添加新的记录
+   * 与go一样，导航失败时保持历史记录栈和当前位置不变；被守卫重定向时，由重定向后的导航替换这条记录
+   * @param location 目标位置
+   * @param index 恢复的记录在栈中的位置
+   */
+  restoreTo (location: RawLocation, index: number, onComplete?: Function, onAbort?: Function) {
+    const entry = this.stack[index]
+    this.transitionTo(location, route => {
+      if (this.stack[index] === entry) {
+        this.stack[index] = route
+        this.index = index
+        this.saveStack()
+      }
+      onComplete && onComplete(route)
+    }, err => {
+      // 守卫重定向时会在中止导航之后立即调用push或replace发起重定向的导航
+      if (isNavigationFailure(err, NavigationFailureType.redirected)) {
+        this.restoreRedirect = index
+      }
+      onAbort && onAbort(err)
+    })
+  }
+
+  push (location: RawLocation, onComplete?: Function, onAbort?: Function) {
+    const index = this.restoreRedirect
+    if (index != null) {
+      this.restoreRedirect = null
+      return this.restoreTo(location, index, onComplete, onAbort)
+    }
+    super.push(location, onComplete, onAbort)
+  }
+
+  replace (location: RawLocation, onComplete?: Function, onAbort?: Function) {
+    const index = this.restoreRedirect
+    if (index != null) {
+      this.restoreRedirect = null
+      return this.restoreTo(location, index, onComplete, onAbort)
+    }
+    super.replace(location, onComplete, onAbort)
+  }
+
+  /**
+   * 获取历史记录的状态
+   * @param index 历史记录在栈中的位置，默认为当前位置
+   */
+  getEntryState (index?: number = this.index): any {
+    const route = this.stack[index]
+    return route ? route.state : undefined
+  }
+
+  /**
+   * 设置当前历史记录的状态，状态需要能够被JSON序列化
+   * 路由对象是冻结的，因此会使用新的状态重新生成当前的路由对象，不会重新执行导航守卫
+   * @param state 状态
+   */
+  setEntryState (state: any) {
+    const entry = this.stack[this.index]
+    if (!entry) {
+      return
+    }
+    const location = toLocation(entry.fullPath, { state, background: getRouteEntryData(entry).background })
+    const route = this.matchBackground(location, this.router.matcher.match(location))
+    copyLoaderResults(entry, route) // 没有重新导航，保留数据加载函数的结果
+    this.stack[this.index] = route
+    if (this.current === entry) {
+      this.updateRoute(route)
+    }
+    this.saveStack()
+  }
+
+  /**
+   * 将历史记录栈写入存储
+   */
+  saveStack () {
+    const storage = this.storage
+    if (!storage) {
+      return
+    }
+    const data: SerializedStack = {
+      index: this.index,
+      entries: this.stack.map(route => extend({ fullPath: route.fullPath }, getRouteEntryData(route)))
+    }
+    try {
+      storage.setItem(this.storageKey, JSON.stringify(data))
+    } catch (e) {
+      if (process.env.NODE_ENV !== 'production') {
+        warn(false, `failed to save the memory history: ${e.message}`)
+      }
+    }
+  }
+
+  // 从存储中读取并解析历史记录栈
+  readStorage (): ?SerializedStack {
+    const storage = this.storage
+    if (!storage) {
+      return null
+    }
+    try {
+      const raw = storage.getItem(this.storageKey)
+      return raw ? JSON.parse(raw) : null
+    } catch (e) {
+      if (process.env.NODE_ENV !== 'production') {
+        warn(false, `failed to restore the memory history: ${e.message}`)
+      }
+      return null
+    }
+  }
+}
+
+// 根据历史记录的完整路径、导航状态和背景路由生成位置对象
+function toLocation (fullPath: string, data: HistoryEntryData): Location {
+  return { path: fullPath, state: data.state, background: data.background }
+}
+
+/**
+ * 解析存储适配器选项
+ * @param option 'session'、'local'、自定义的存储对象，或者false（不持久化）
+ */
+function resolveStorage (option: HistoryStorageOption): ?HistoryStorage {
+  if (!option) {
+    return null
+  }
+  if (typeof option === 'object') {
+    return option
+  }
+  if (!inBrowser) {
+    return null
+  }
+  try {
+    // 在某些浏览器的隐私模式下访问Web Storage会抛出异常
+    return option === 'local' ? window.localStorage : window.sessionStorage
+  } catch (e) {
+    return null
+  }
+}
@@ -0,0 +1,234 @@
+/* @flow */
+
+import { HTML5History, getLocation } from './html5'
+import { inBrowser } from '../util/dom'
+import { cleanPath } from '../util/path'
+import { handleScroll } from '../util/scroll'
+import { getRouteEntryData } from '../util/push-state'
+import { extend } from '../util/misc'
+import { normalizeA11y } from '../util/a11y'
+
+// 是否支持Navigation API（window.navigation）
+export const supportsNavigation =
+  inBrowser &&
+  !!(window: any).navigation &&
+  typeof (window: any).navigation.addEventListener === 'function'
+
+// 路由器自身发起的导航会带上这个标记（navigation.navigate的info选项）
+// 在navigate事件中据此区分是路由器发起的导航还是用户点击链接、提交表单、前进后退等触发的导航
+const routerNavigationInfo = {}
+
+const noop = () => {}
+
+// 基于Navigation API的历史记录管理类
+// 与HTML5History的区别在于：
+// 1. 通过navigate事件拦截同源的链接点击、GET表单提交和前进后退，而不是监听popstate
+// 2. 使用navigation.navigate修改URL，滚动和焦点（没有开启a11y的焦点管理时）由Navigation API内置的机制处理，不需要维护state-key
+export class NavigationHistory extends HTML5History {
+  traverseFrom: ?any // 正在进行的前进后退导航之前的历史记录，导航被中止时回到这条记录
+
+  // 设置navigate事件监听
+  setupListeners () {
+    if (this.listeners.length > 0) { // 已经有监听器
+      return
+    }
+
+    const navigation = (window: any).navigation
+    const handleNavigate = (event: any) => {
+      // 无法拦截的导航（如跨域）、下载链接以及POST表单提交交由浏览器处理
+      if (!event.canIntercept || event.downloadRequest != null || event.formData) {
+        return
+      }
+
+      // 路由器自身发起的导航，路由过渡已经完成，只需要拦截以避免页面重新加载
+      // 在视图更新后再交由Navigation API处理滚动和焦点
+      if (event.info === routerNavigationInfo) {
+        event.intercept({
+          handler: () => this.afterRender(),
+          scroll: this.scrollMode(event),
+          focusReset: this.focusResetMode()
+        })
+        return
+      }
+
+      // 目标地址不在base之下则不属于当前应用，交由浏览器处理
+      const url = new URL(event.destination.url)
+      const location = getURLLocation(this.base, url)
+      if (url.origin !== window.location.origin || location == null) {
+        return
+      }
+
+      const current = this.current
+      const isTraverse = event.navigationType === 'traverse'
+      // navigate事件触发时currentEntry仍然是导航之前的历史记录
+      const fromEntry = isTraverse ? navigation.currentEntry : null
+      event.intercept({
+        // 执行路由过渡，过渡结束（成功或者中断）后再结束拦截
+        handler: () => new Promise(resolve => {
+          // 前进后退时从历史记录中恢复导航状态和背景路由
+          const entryData = isTraverse ? event.destination.getState() : null
+          this.traverseFrom = fromEntry
+          this.transitionTo(entryData ? extend({ path: location }, entryData) : location, route => {
+            this.traverseFrom = null
+            this.recordEntry(route, getEntryAction(event.navigationType))
+            this.afterRender().then(() => {
+              // 配置了scrollBehavior时，非前进后退的导航由scrollBehavior处理滚动
+              if (!isTraverse && this.router.options.scrollBehavior) {
+                handleScroll(this.router, route, current, false)
+              }
+              resolve()
+            })
+          }, () => {
+            this.traverseFrom = null
+            resolve()
+          })
+        }),
+        scroll: this.scrollMode(event),
+        focusReset: this.focusResetMode()
+      })
+    }
+
+    navigation.addEventListener('navigate', handleNavigate)
+    this.listeners.push(() => {
+      navigation.removeEventListener('navigate', handleNavigate)
+    })
+  }
+
+  // 导航到一个新页面
+  push (location: RawLocation, onComplete?: Function, onAbort?: Function) {
+    const { current: fromRoute } = this
+    this.transitionTo(location, route => {
+      navigate(cleanPath(this.base + route.fullPath), 'push', route)
+      this.recordEntry(route, 'push')
+      this.handleProgrammaticScroll(route, fromRoute)
+      onComplete && onComplete(route)
+    }, onAbort)
+  }
+
+  // 替换当前页面
+  replace (location: RawLocation, onComplete?: Function, onAbort?: Function) {
+    const { current: fromRoute } = this
+    this.transitionTo(location, route => {
+      navigate(cleanPath(this.base + route.fullPath), 'replace', route)
+      this.recordEntry(route, 'replace')
+      this.handleProgrammaticScroll(route, fromRoute)
+      onComplete && onComplete(route)
+    }, onAbort)
+  }
+
+  // 确保当前的URL与路由的fullPath相同
+  // 前进后退被守卫中止时回到原来的历史记录，不添加新的记录
+  ensureURL (push?: boolean) {
+    if (getLocation(this.base) !== this.current.fullPath) {
+      const entry = this.traverseFrom
+      if (entry) {
+        this.traverseFrom = null
+        traverseTo(entry.key)
+        return
+      }
+      navigate(cleanPath(this.base + this.current.fullPath), push ? 'push' : 'replace', this.current)
+    }
+  }
+
+  // 获取Navigation API当前历史记录中保存的导航状态和背景路由
+  getEntryData (): ?HistoryEntryData {
+    const entry = (window: any).navigation.currentEntry
+    return entry ? entry.getState() : null
+  }
+
+  // 使用Navigation API当前历史记录的key作为历史记录的标识
+  getEntryKey (): ?string {
+    const entry = (window: any).navigation.currentEntry
+    return entry ? entry.key : null
+  }
+
+  // Navigation API保留了刷新页面之前的历史记录，上一条记录在base之下则属于当前应用
+  canGoBack (): boolean {
+    const navigation = (window: any).navigation
+    const current = navigation.currentEntry
+    const prev = current && current.index > 0 ? navigation.entries()[current.index - 1] : null
+    if (prev && prev.url) {
+      const url = new URL(prev.url)
+      return url.origin === window.location.origin && getURLLocation(this.base, url) != null
+    }
+    return super.canGoBack()
+  }
+
+  // 获取Navigation API中当前文档的所有历史记录
+  getNavigationEntries (): Array<any> {
+    return (window: any).navigation.entries()
+  }
+
+  // 等待视图更新完成
+  afterRender (): Promise<void> {
+    const app = this.router.app
+    return new Promise(resolve => {
+      app ? app.$nextTick(resolve) : resolve()
+    })
+  }
+
+  // 滚动的处理方式
+  // 前进后退总是由Navigation API恢复滚动位置，其它的导航在配置了scrollBehavior时交由scrollBehavior处理
+  scrollMode (event: any): string {
+    return event.navigationType !== 'traverse' && this.router.options.scrollBehavior
+      ? 'manual'
+      : 'after-transition'
+  }
+
+  // 焦点的处理方式
+  // 开启了a11y选项的焦点管理时由路由器移动焦点，否则由Navigation API在导航完成后将焦点重置到页面
+  focusResetMode (): string {
+    const a11y = normalizeA11y(this.router.options.a11y)
+    return a11y && a11y.focus.length ? 'manual' : 'after-transition'
+  }
+
+  // 路由器发起的导航，配置了scrollBehavior时由scrollBehavior处理滚动
+  handleProgrammaticScroll (route: Route, from: Route) {
+    if (this.router.options.scrollBehavior) {
+      handleScroll(this.router, route, from, false)
+    }
+  }
+}
+
+// 使用Navigation API修改URL，会触发带有路由器标记的navigate事件
+// 导航状态和背景路由保存在历史记录中，前进后退以及页面刷新后可以恢复
+function navigate (url: string, history: 'push' | 'replace', route: Route) {
+  const result = (window: any).navigation.navigate(url, {
+    history,
+    state: getRouteEntryData(route),
+    info: routerNavigationInfo
+  })
+  // 被新的导航打断时这两个Promise会被reject，忽略即可
+  result.committed.catch(noop)
+  result.finished.catch(noop)
+}
+
+// 回到指定的历史记录，同样带上路由器的标记，navigate事件中不会再次执行路由过渡
+function traverseTo (key: string) {
+  const result = (window: any).navigation.traverseTo(key, { info: routerNavigationInfo })
+  result.committed.catch(noop)
+  result.finished.catch(noop)
+}
+
+// navigate事件的导航类型对应的历史记录变化
+function getEntryAction (navigationType: string): 'push' | 'replace' | 'pop' {
+  if (navigationType === 'traverse') return 'pop'
+  return navigationType === 'push' ? 'push' : 'replace'
+}
+
+// 返回URL相对于base的路径，不在base之下时返回null
+function getURLLocation (base: string, url: URL): ?string {
+  let path = url.pathname
+  if (base) {
+    const pathLowerCase = path.toLowerCase()
+    const baseLowerCase = base.toLowerCase()
+    if (
+      pathLowerCase !== baseLowerCase &&
+      pathLowerCase.indexOf(cleanPath(baseLowerCase + '/')) !== 0
+    ) {
+      return null
+    }
+    path = path.slice(base.length)
+  }
+  return (path || '/') + url.search + url.hash
+}
@@ -40,6 +40,8 @@ export function install (Vue) {
         // 在Vue实例上添加响应式属性_route，其初始值是router实例的当前历史记录所在的位置
         // 该属性在路由发生变化时会更新，从而触发组件的更新，重新渲染页面
         Vue.util.defineReactive(this, '_route', this._router.history.current)
+        // 同样添加响应式属性_navigation，其值是当前的导航状态，用于在导航过程中显示加载状态
+        Vue.util.defineReactive(this, '_navigation', this._router.history.navigationState)
       } else { // 没有传入router选项的非路由根组件
         // 添加_routeRoot属性，如果当前实例没有父实例，则指向当前实例本身，否则指向父实例的_routerRoot属性
         // 由于beforeCreate钩子的执行是先执行父组件的钩子，再执行子组件的钩子
@@ -7,13 +7,20 @@ import { inBrowser } from './util/dom'
 import { cleanPath } from './util/path'
 import { createMatcher } from './create-matcher'
 import { normalizeLocation } from './util/location'
-import { supportsPushState } from './util/push-state'
+import { createQueryFormat } from './util/query'
+import { extend } from './util/misc'
+import { supportsPushState, ensureStateKey } from './util/push-state'
 import { handleScroll } from './util/scroll'
+import { prefetchAsyncComponents } from './util/resolve-components'
+import { normalizeChunkLoadRetry } from './util/chunk-load'
+import { resolveHead, applyHead, stringifyHead } from './util/head'
 import { isNavigationFailure, NavigationFailureType } from './util/errors'
 
 import { HashHistory } from './history/hash'
 import { HTML5History } from './history/html5'
+import { NavigationHistory, supportsNavigation } from './history/navigation'
 import { AbstractHistory } from './history/abstract'
+import { MemoryHistory } from './history/memory'
 
 import type { Matcher } from './create-matcher'
 
@@ -36,6 +43,7 @@ export default class VueRouter {
   beforeHooks: Array<?NavigationGuard> // 全局的导航前置守卫
   resolveHooks: Array<?NavigationGuard> // 解析守卫
   afterHooks: Array<?AfterNavigationHook> // 全局的后置守卫
+  eventListeners: { [event: NavigationEventName]: Array<Function> } // 导航生命周期事件的监听函数
 
   constructor (options: RouterOptions = {}) {
     // 只能使用new调用
@@ -45,30 +53,47 @@ export default class VueRouter {
     // 初始化各种实例属性
     this.app = null
     this.apps = []
+    // 配置了内置的查询参数格式时，在没有自定义parseQuery和stringifyQuery的情况下使用对应格式的解析和序列化函数
+    // 拷贝一份配置选项，避免修改传入的对象
+    if (options.queryFormat) {
+      const format = createQueryFormat(options.queryFormat)
+      options = extend(extend({}, options), {
+        parseQuery: options.parseQuery || format.parse,
+        stringifyQuery: options.stringifyQuery || format.stringify
+      })
+    }
     this.options = options
     this.beforeHooks = []
     this.resolveHooks = []
     this.afterHooks = []
+    this.eventListeners = {}
     // 创建路由匹配器
     // 会根据路由配置在内部创建pathList/pathMap/nameMap
     // 返回一个可以匹配、操作这些对象的对象
     this.matcher = createMatcher(options.routes || [], this)
 
     let mode = options.mode || 'hash' // 路由模式默认是hash模式
+    // 不支持Navigation API时，navigation模式降级为history模式
+    if (mode === 'navigation' && !supportsNavigation) {
+      mode = 'history'
+    }
     this.fallback = mode === 'history' && !supportsPushState && options.fallback !== false // history模式是否降级为hash模式
     
     // 如果不支持history模式，则配置的history模式降级为hash模式
     if (this.fallback) {
       mode = 'hash'
     }
-    // 非浏览器端（如服务端渲染）则强制设置成abstract模式
-    if (!inBrowser) {
+    // 非浏览器端（如服务端渲染）则强制设置成abstract模式，memory模式不依赖浏览器环境，保持不变
+    if (!inBrowser && mode !== 'memory') {
       mode = 'abstract'
     }
     this.mode = mode // 设置最终的路由模式
 
     // 根据不同的模式创建对应的history实例
     switch (mode) {
+      case 'navigation':
+        this.history = new NavigationHistory(this, options.base)
+        break
       case 'history':
         this.history = new HTML5History(this, options.base)
         break
@@ -78,6 +103,9 @@ export default class VueRouter {
       case 'abstract':
         this.history = new AbstractHistory(this, options.base)
         break
+      case 'memory':
+        this.history = new MemoryHistory(this, options.base)
+        break
       default:
         if (process.env.NODE_ENV !== 'production') {
           assert(false, `invalid mode: ${mode}`)
@@ -95,6 +123,13 @@ export default class VueRouter {
     return this.history && this.history.current
   }
 
+  // navigationState属性，指向当前的导航状态
+  // 在组件中访问时会读取根实例上的响应式属性_navigation，因此可以在模板和计算属性中使用
+  get navigationState (): NavigationState {
+    const app = this.app
+    return app && app._navigation ? app._navigation : this.history.navigationState
+  }
+
   // 路由初始化，在组件的beforeCreate钩子中调用
   init (app: any /* Vue component instance */) {
     // 未安装提示
@@ -151,6 +186,11 @@ export default class VueRouter {
         }
       }
       const setupListeners = routeOrError => {
+        // 记录初始的历史记录
+        if ('fullPath' in routeOrError) {
+          ensureStateKey()
+          history.recordEntry(routeOrError, 'replace')
+        }
         history.setupListeners() // 设置对应history模式下相关的事件监听
         handleInitialScroll(routeOrError) // 处理初始的滚动
       }
@@ -158,10 +198,13 @@ export default class VueRouter {
       // 导航完成或者中断后都设置URL监听函数
       // 处理初始的滚动
       history.transitionTo(
-        history.getCurrentLocation(),
+        history.getCurrentRawLocation(),
         setupListeners,
         setupListeners
       )
+    } else if (history instanceof MemoryHistory) {
+      // memory模式下恢复存储中记录的历史记录栈的当前位置
+      history.restore()
     }
 
     // 监听路由变化，并通知所有应用实例
@@ -172,6 +215,20 @@ export default class VueRouter {
       this.apps.forEach(app => {
         app._route = route
       })
+      // 开启了head选项时，根据路由更新页面的标题和meta、link标签
+      if (this.options.head) {
+        applyHead(resolveHead(route, this.options.head))
+      }
+    })
+    // 初始导航同步完成时还没有注册监听，需要立即应用一次
+    if (this.options.head && history.current !== START) {
+      applyHead(resolveHead(history.current, this.options.head))
+    }
+    // 监听导航状态变化，并通知所有应用实例
+    history.listenNavigation(state => {
+      this.apps.forEach(app => {
+        app._navigation = state
+      })
     })
   }
 
@@ -189,6 +246,47 @@ export default class VueRouter {
   afterEach (fn: Function): Function {
     return registerHook(this.afterHooks, fn)
   }
+  /**
+   * 注册导航生命周期事件的监听函数
+   * @param event 事件名称：navigation:start（开始）、navigation:end（完成）、
+   *   navigation:error（发生错误）、navigation:cancel（被取消、中止、重定向、重复或者超时）
+   *   每个navigation:start之后都会有且只有一个其它三种事件
+   * @param cb 监听函数，接收包含目标路由、当前路由和耗时信息的事件对象
+   * @returns 移除监听函数的函数
+   */
+  on (event: NavigationEventName, cb: Function): Function {
+    if (process.env.NODE_ENV !== 'production') {
+      assert(
+        navigationEvents.indexOf(event) > -1,
+        `unknown navigation event "${event}", expected one of ${navigationEvents.join(', ')}.`
+      )
+    }
+    const listeners = this.eventListeners[event] || (this.eventListeners[event] = [])
+    return registerHook(listeners, cb)
+  }
+
+  /**
+   * 触发导航生命周期事件，监听函数抛出的错误不会影响导航和其它监听函数
+   * @param event 事件名称
+   * @param payload 事件对象
+   */
+  emit (event: NavigationEventName, payload: NavigationEvent) {
+    const listeners = this.eventListeners[event]
+    if (!listeners) {
+      return
+    }
+    listeners.slice().forEach(cb => {
+      try {
+        cb(payload)
+      } catch (e) {
+        if (process.env.NODE_ENV !== 'production') {
+          warn(false, `uncaught error in "${event}" listener:`)
+        }
+        console.error(e)
+      }
+    })
+  }
+
   // 注册一个路由初始导航完成时的回调，errorCb在初始化路由解析运行出错（比如解析异步组件失败）时执行
   onReady (cb: Function, errorCb?: Function) {
     this.history.onReady(cb, errorCb)
@@ -230,7 +328,13 @@ export default class VueRouter {
   }
 
   // 后退
-  back () {
+  // 传入fallback时，只有上一条历史记录属于当前应用才后退，否则（如通过链接直接进入当前页面）导航到fallback
+  back (options?: { fallback?: RawLocation, replace?: boolean }) {
+    const fallback = options && options.fallback
+    if (fallback && !this.history.canGoBack()) {
+      options && options.replace ? this.replace(fallback, noop) : this.push(fallback, noop)
+      return
+    }
     this.go(-1)
   }
 
@@ -297,6 +401,36 @@ export default class VueRouter {
       resolved: route
     }
   }
+
+  /**
+   * 预加载目标路由匹配的异步组件，之后导航到该路由时无需再等待组件加载
+   * 与导航时的异步组件解析共享同一次加载，加载失败时下一次导航会重新尝试
+   * @param location 目标位置，相对位置基于当前路由解析
+   * @returns 所有异步组件加载完成后resolve
+   */
+  prefetch (location: RawLocation) {
+    const { route } = this.resolve(location)
+    return prefetchAsyncComponents(route.matched, normalizeChunkLoadRetry(this.options.chunkLoadRetry))
+  }
+
+  /**
+   * 计算路由的页面head（标题、meta和link标签），合并了所有匹配的路由记录的meta.head
+   * @param location 目标位置，默认为当前路由
+   */
+  getHead (location?: RawLocation): Head {
+    const route = location ? this.resolve(location).route : this.history.current
+    return resolveHead(route, this.options.head)
+  }
+
+  /**
+   * 将路由的页面head渲染为HTML字符串，服务端渲染（abstract模式）时输出到页面模板的<head>中，
+   * 客户端开启head选项后会接管这些标签
+   * @param location 目标位置，默认为当前路由
+   */
+  renderHead (location?: RawLocation): string {
+    return stringifyHead(this.getHead(location))
+  }
+
   // 获取所有活跃的路由记录列表
   getRoutes () {
     return this.matcher.getRoutes()
@@ -308,10 +442,29 @@ export default class VueRouter {
     // 如果当前路由不是初始路由，则使用当前位置进行一次导航
     // 以便触发相应的钩子函数和更新视图
     if (this.history.current !== START) { 
-      this.history.transitionTo(this.history.getCurrentLocation())
+      this.history.transitionTo(this.history.getCurrentRawLocation())
+    }
+  }
+
+  // 移除指定名称的路由，其子路由以及别名路由也会一并移除
+  removeRoute (name: string) {
+    const removed = this.matcher.removeRoute(name)
+    const current = this.history.current
+    // 如果当前路由匹配的记录被移除了，则使用当前位置重新进行一次导航
+    // 以便重新匹配路由（如匹配到通配符路由）并触发相应的钩子函数和更新视图
+    if (
+      current !== START &&
+      current.matched.some(record => removed.indexOf(record) > -1)
+    ) {
+      this.history.transitionTo(this.history.getCurrentRawLocation())
     }
   }
 
+  // 检查是否存在指定名称的路由
+  hasRoute (name: string): boolean {
+    return this.matcher.hasRoute(name)
+  }
+
   // 动态添加更多的路由规则
   addRoutes (routes: Array<RouteConfig>) {
     // vue-router 4开始移除了addRoutes方法，使用router.addRoute代替
@@ -321,11 +474,21 @@ export default class VueRouter {
     this.matcher.addRoutes(routes) // 添加路由规则
     //  如果当前路由不是初始路由，则使用当前位置进行一次导航
     if (this.history.current !== START) {
-      this.history.transitionTo(this.history.getCurrentLocation())
+      this.history.transitionTo(this.history.getCurrentRawLocation())
     }
   }
 }
 
+function noop () {}
+
+// 支持的导航生命周期事件
+const navigationEvents: Array<NavigationEventName> = [
+  'navigation:start',
+  'navigation:end',
+  'navigation:error',
+  'navigation:cancel'
+]
+
 // 注册钩子函数
 // 将回调函数添加到指定的钩子存储数组后，返回一个移除钩子的函数
 function registerHook (list: Array<any>, fn: Function): Function {
@@ -0,0 +1,116 @@
+/* @flow */
+
+import type Router from '../index'
+import { inBrowser } from './dom'
+import { START } from './route'
+import { resolveTitle } from './head'
+
+// 规范化后的焦点管理和路由播报选项
+type A11y = {
+  focus: Array<string>, // 依次尝试移动焦点的元素选择器，为空时不移动焦点
+  announce: ?(route: Route) => ?string, // 获取播报的内容，为null时不播报
+  politeness: 'polite' | 'assertive', // 播报区域的aria-live
+  skipSamePath: boolean, // 路径不变（只有query或hash变化）时是否跳过
+  skipPopState: boolean // 前进后退时是否跳过
+}
+
+// 默认的焦点目标：标记了data-route-focus的元素、页面的标题、主要内容区域
+const DEFAULT_FOCUS = ['[data-route-focus]', 'h1', 'main']
+// 先清空播报区域再延迟写入内容，连续两次播报相同的内容时屏幕阅读器也能识别到变化
+const ANNOUNCE_DELAY = 100
+
+let announcer: ?HTMLElement = null
+
+/**
+ * 路由变化后移动焦点并通过aria-live区域播报新页面的标题，在视图更新完成后执行
+ * 需要通过路由器的a11y选项开启，初始导航不做处理（屏幕阅读器会读取新加载的页面）
+ * @param router 路由器实例
+ * @param to 目标路由
+ * @param from 上一个路由
+ * @param isPop 是否是浏览器的前进、后退
+ */
+export function handleRouteA11y (router: Router, to: Route, from: Route, isPop: boolean) {
+  const options = normalizeA11y(router.options.a11y)
+  if (!options || !inBrowser || !router.app || from === START) {
+    return
+  }
+  if ((options.skipSamePath && to.path === from.path) || (options.skipPopState && isPop)) {
+    return
+  }
+  router.app.$nextTick(() => {
+    if (options.focus.length) {
+      focusTarget(options.focus)
+    }
+    const message = options.announce && options.announce(to)
+    if (message) {
+      announce(message, options.politeness)
+    }
+  })
+}
+
+/**
+ * 规范化路由器的a11y选项
+ * @param option true使用默认的选项，false或者没有配置时不开启
+ */
+export function normalizeA11y (option: ?(boolean | A11yOptions)): ?A11y {
+  if (!option) {
+    return null
+  }
+  const options = option === true ? {} : option
+  const focus = options.focus
+  const announce = options.announce
+  return {
+    focus: focus === false ? [] : typeof focus === 'string' ? [focus] : Array.isArray(focus) ? focus : DEFAULT_FOCUS,
+    announce: announce === false ? null : typeof announce === 'function' ? announce : getRouteTitle,
+    politeness: options.politeness || 'polite',
+    skipSamePath: options.skipSamePath !== false,
+    skipPopState: !!options.skipPopState
+  }
+}
+
+/**
+ * 获取路由的标题，与head管理使用相同的标题（meta.head.title或者meta.title，不应用titleTemplate）
+ * 没有配置时使用页面的标题
+ * @param route 路由
+ */
+export function getRouteTitle (route: Route): ?string {
+  const title = resolveTitle(route)
+  return title != null ? title : inBrowser ? document.title : null
+}
+
+// 将焦点移动到第一个存在的目标元素上，不可聚焦的元素（如h1）会设置tabindex="-1"
+// 移动焦点时不滚动页面，滚动由scrollBehavior处理
+function focusTarget (selectors: Array<string>) {
+  for (let i = 0; i < selectors.length; i++) {
+    const el: any = document.querySelector(selectors[i])
+    if (el) {
+      if (!el.hasAttribute('tabindex')) {
+        el.setAttribute('tabindex', '-1')
+      }
+      el.focus({ preventScroll: true })
+      return
+    }
+  }
+}
+
+// 在视觉上隐藏的aria-live区域中播报内容
+function announce (message: string, politeness: 'polite' | 'assertive') {
+  const body = document.body
+  if (!body) {
+    return
+  }
+  if (!announcer || !body.contains(announcer)) {
+    announcer = document.createElement('div')
+    announcer.setAttribute('data-router-announcer', '')
+    announcer.setAttribute('aria-atomic', 'true')
+    announcer.style.cssText = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;' +
+      'overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0'
+    body.appendChild(announcer)
+  }
+  const el = announcer
+  el.setAttribute('aria-live', politeness)
+  el.textContent = ''
+  setTimeout(() => {
+    el.textContent = message
+  }, ANNOUNCE_DELAY)
+}
@@ -0,0 +1,12 @@
+/* @flow */
+
+// 是否支持AbortController，IE和较老的浏览器以及Node.js 15以下的版本不支持
+export const supportsAbortController = typeof AbortController === 'function'
+
+/**
+ * 为一次导航创建AbortController，其signal会传递给导航守卫和异步组件的加载函数
+ * 不支持的环境下返回null，此时守卫和加载函数接收到的signal为undefined
+ */
+export function createAbortController (): ?AbortController {
+  return supportsAbortController ? new AbortController() : null
+}
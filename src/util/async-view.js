@@ -0,0 +1,88 @@
+/* @flow */
+
+import { _Vue } from '../install'
+import { loadAsyncComponent, saveResolvedComponent } from './resolve-components'
+import type { ChunkLoadRetry } from './chunk-load'
+
+// 非阻塞的异步组件在RouterView中的加载状态
+export type AsyncViewState = {
+  loading: boolean, // 是否正在加载
+  pastDelay: boolean, // 是否已经超过显示加载中组件的延迟
+  error: ?Error, // 加载失败或者超时的错误
+  retry: () => void // 重新加载
+}
+
+// 加载状态按照路由记录和命名视图保存，同一个加载函数被多个路由记录使用时各自维护状态，
+// 加载请求本身仍然由loadAsyncComponent共享
+const viewStates: WeakMap<RouteRecord, Dictionary<AsyncViewState>> = new WeakMap()
+
+/**
+ * 获取非阻塞的异步组件的加载状态，第一次获取时开始加载
+ * 状态是响应式的，RouterView渲染时读取状态，加载完成、超过延迟、失败或超时都会触发重新渲染
+ * 加载完成后组件会替换路由记录中的加载函数，此后RouterView按照普通的组件渲染
+ * @param def 异步组件的加载函数
+ * @param match 路由记录
+ * @param key 命名视图的名称
+ * @param retry 代码块加载失败时的重试策略，加载状态不会重新加载页面
+ * @returns 组件已经被其它路由记录或者预加载解析时返回null，此时路由记录中已经替换为解析后的组件
+ */
+export function getAsyncViewState (def: any, match: RouteRecord, key: string, retry: ?ChunkLoadRetry): ?AsyncViewState {
+  if (def.resolved) {
+    match.components[key] = def.resolved
+    return null
+  }
+  let states = viewStates.get(match)
+  if (!states) {
+    states = {}
+    viewStates.set(match, states)
+  }
+  if (!states[key]) {
+    const state: AsyncViewState = _Vue.observable({
+      loading: false,
+      pastDelay: false,
+      error: null,
+      retry: () => load(def, match, key, state, retry)
+    })
+    states[key] = state
+    load(def, match, key, state, retry)
+  }
+  return states[key]
+}
+
+// 开始加载，处理加载中组件的延迟以及加载超时
+function load (def: any, match: RouteRecord, key: string, state: AsyncViewState, retry: ?ChunkLoadRetry) {
+  if (state.loading) {
+    return
+  }
+  state.loading = true
+  state.pastDelay = !match.loadingDelay
+  state.error = null
+
+  let delayTimer, timeoutTimer
+  if (match.loadingDelay) {
+    delayTimer = setTimeout(() => {
+      state.pastDelay = true
+    }, match.loadingDelay)
+  }
+  const finish = (error: ?Error) => {
+    clearTimeout(delayTimer)
+    clearTimeout(timeoutTimer)
+    state.loading = false
+    state.error = error
+  }
+  if (match.loadingTimeout != null) {
+    const timeout = match.loadingTimeout
+    timeoutTimer = setTimeout(() => {
+      finish(new Error(`Loading async component ${key} of route "${match.path}" timed out after ${timeout}ms.`))
+    }, timeout)
+  }
+
+  loadAsyncComponent(def, undefined, retry).then(resolvedDef => {
+    saveResolvedComponent(def, match, key, resolvedDef)
+    finish(null)
+  }, reason => {
+    if (state.loading) {
+      finish(reason instanceof Error ? reason : new Error(`Failed to resolve async component ${key}: ${reason}`))
+    }
+  })
+}
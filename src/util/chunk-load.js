@@ -0,0 +1,98 @@
+/* @flow */
+
+import { inBrowser } from './dom'
+
+// 规范化后的代码块加载重试策略
+export type ChunkLoadRetry = {
+  retries: number, // 重试次数
+  delay: number, // 第一次重试前等待的时间，之后每次翻倍
+  reload: boolean, // 重试全部失败后是否重新加载页面
+  isChunkLoadError: (error: any) => boolean // 判断错误是否为代码块加载失败，只有这类错误会重试
+}
+
+// 记录重新加载页面的sessionStorage键
+const RELOAD_KEY = 'vue-router-chunk-reload'
+// 在该时间内已经因为同一个地址重新加载过页面时不再重新加载，避免新的代码块仍然无法加载时无限刷新
+const RELOAD_LOOP_WINDOW = 10000
+
+// 各打包工具和浏览器在动态导入的模块加载失败时的错误信息
+const chunkErrorRE = /loading (css )?chunk \S+ failed|failed to fetch dynamically imported module|error loading dynamically imported module|importing a module script failed/i
+
+/**
+ * 判断错误是否为代码块加载失败，通常是部署了新版本后旧页面引用的代码块已经不存在
+ * @param error 异步组件加载失败的错误
+ */
+export function isChunkLoadError (error: any): boolean {
+  if (!error) {
+    return false
+  }
+  return error.name === 'ChunkLoadError' || chunkErrorRE.test(error.message || String(error))
+}
+
+/**
+ * 规范化路由器的chunkLoadRetry选项
+ * @param option true使用默认的策略，false或者没有配置时不重试
+ */
+export function normalizeChunkLoadRetry (option: ?(boolean | ChunkLoadRetryOptions)): ?ChunkLoadRetry {
+  if (!option) {
+    return null
+  }
+  const options = option === true ? {} : option
+  return {
+    retries: options.retries != null ? options.retries : 2,
+    delay: options.delay != null ? options.delay : 500,
+    reload: !!options.reload,
+    isChunkLoadError: options.isChunkLoadError || isChunkLoadError
+  }
+}
+
+/**
+ * 获取第attempt次（从0开始）重试前等待的时间，按指数退避
+ */
+export function getRetryDelay (retry: ChunkLoadRetry, attempt: number): number {
+  return retry.delay * Math.pow(2, attempt)
+}
+
+/**
+ * 重新加载页面到目标地址，加载新版本的代码块
+ * 重新加载前在sessionStorage中记录地址和时间，短时间内已经因为同一个地址重新加载过时不再重新加载，
+ * 无法访问sessionStorage时也不会重新加载
+ * @param href 目标路由的链接地址
+ * @returns 是否重新加载了页面
+ */
+export function reloadPage (href: string): boolean {
+  if (!inBrowser) {
+    return false
+  }
+  const url = toAbsoluteURL(href)
+  try {
+    const storage = window.sessionStorage
+    const last = JSON.parse(storage.getItem(RELOAD_KEY) || 'null')
+    if (last && last.url === url && Date.now() - last.time < RELOAD_LOOP_WINDOW) {
+      return false
+    }
+    storage.setItem(RELOAD_KEY, JSON.stringify({ url, time: Date.now() }))
+  } catch (e) {
+    return false
+  }
+  // 只有hash不同时修改地址不会重新加载页面（如hash模式），需要手动重新加载
+  if (stripHash(url) === stripHash(window.location.href)) {
+    window.location.replace(url)
+    window.location.reload()
+  } else {
+    window.location.assign(url)
+  }
+  return true
+}
+
+// 通过a元素将相对地址解析为完整的地址
+function toAbsoluteURL (href: string): string {
+  const a = document.createElement('a')
+  a.href = href
+  return a.href
+}
+
+function stripHash (url: string): string {
+  const index = url.indexOf('#')
+  return index > -1 ? url.slice(0, index) : url
+}
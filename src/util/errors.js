@@ -4,7 +4,9 @@ export const NavigationFailureType = {
   redirected: 2, // 重定向错误类型
   aborted: 4, // 导航中断错误类型
   cancelled: 8, // 导航取消
-  duplicated: 16 // 导航重复
+  duplicated: 16, // 导航重复
+  timeout: 32, // 导航守卫超时
+  chunkLoad: 64 // 异步组件的代码块加载失败
 }
 
 // 创建导航重定向错误
@@ -57,6 +59,38 @@ export function createNavigationAbortedError (from, to) {
   )
 }
 
+// 创建导航守卫超时错误
+// guard描述了超时的守卫：type为global（全局守卫）、record（路由独享守卫）或component（组件内守卫）
+export function createNavigationTimeoutError (from, to, guard, timeout) {
+  const error = createRouterError(
+    from,
+    to,
+    NavigationFailureType.timeout,
+    `Navigation from "${from.fullPath}" to "${
+      to.fullPath
+    }" timed out after ${timeout}ms in ${stringifyGuard(guard)}.`
+  )
+  error.guard = guard
+  error.timeout = timeout
+  return error
+}
+
+// 创建异步组件的代码块加载失败的错误（配置了chunkLoadRetry时使用）
+// cause为最后一次加载失败的原始错误，reload表示是否已经重新加载页面以恢复
+export function createNavigationChunkLoadError (from, to, cause, reload) {
+  const error = createRouterError(
+    from,
+    to,
+    NavigationFailureType.chunkLoad,
+    `Failed to load the async components of "${to.fullPath}"${
+      reload ? ', reloading the page' : ''
+    }: ${cause && cause.message ? cause.message : String(cause)}`
+  )
+  error.cause = cause
+  error.reload = reload
+  return error
+}
+
 /**
  * 通用的路由器错误创建哈桑农户
  * @param {Object} from - 导航的来源位置
@@ -94,6 +128,13 @@ function stringifyRoute (to) {
   return JSON.stringify(location, null, 2)
 }
 
+// 将守卫的描述信息转换为可读的字符串
+function stringifyGuard (guard) {
+  if (guard.type === 'global') return `global ${guard.name} guard`
+  if (guard.type === 'record') return `${guard.name} guard of route "${guard.path}"`
+  return `${guard.name} guard of the "${guard.view}" view component of route "${guard.path}"`
+}
+
 // 判断传入的内容是否为错误对象
 export function isError (err) {
   return Object.prototype.toString.call(err).indexOf('Error') > -1
@@ -0,0 +1,52 @@
+/* @flow */
+
+import { isError } from './errors'
+
+// 导航守卫的两种写法：
+// 1. 传统写法：声明了next参数（to, from, next），由守卫调用next决定导航的走向
+// 2. 返回值写法：没有声明next参数（to, from），由守卫的返回值（或者返回的Promise的结果）决定导航的走向
+//    true/undefined：继续导航；false：中止导航；路由位置：重定向；Error：导航失败
+// 通过守卫函数的参数个数（length）区分两种写法
+// 导航被取消、中止或重定向时会中止传递给守卫的signal（AbortSignal）：
+// 传统写法的守卫在next之后接收signal（to, from, next, signal），返回值写法的守卫作为第三个参数接收，
+// 由于声明三个参数会被当作传统写法，需要为其设置默认值（to, from, signal = undefined），默认值参数不计入length
+
+/**
+ * 将导航守卫统一为传统的next写法
+ * @param guard 用户定义的导航守卫
+ * @returns 接收(to, from, next)的守卫函数，会保留调用时的this（组件内的守卫会绑定到组件实例上）
+ */
+export function normalizeGuard (guard: Function): NavigationGuard {
+  if (guard.length >= 3) {
+    return (guard: any)
+  }
+  return function normalizedGuard (to: Route, from: Route, next: Function, signal?: AbortSignal) {
+    const result = guard.call(this, to, from, signal)
+    if (result && typeof result.then === 'function') {
+      result.then(
+        value => next(resolveGuardResult(value)),
+        err => next(isError(err) ? err : new Error(String(err)))
+      )
+    } else {
+      next(resolveGuardResult(result))
+    }
+  }
+}
+
+// 将守卫的返回值转换为传递给next的值，true表示继续导航，等同于undefined
+function resolveGuardResult (value: any): any {
+  return value === true ? undefined : value
+}
+
+/**
+ * 给导航守卫附加描述信息，用于在守卫超时等情况下报告是哪个守卫
+ * @param guard 统一为next写法的导航守卫
+ * @param info 守卫的描述信息
+ */
+export function describeGuard (guard: NavigationGuard, info: GuardInfo): NavigationGuard {
+  const described: any = function describedGuard () {
+    return guard.apply(this, arguments)
+  }
+  described.guardInfo = info
+  return described
+}
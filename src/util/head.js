@@ -0,0 +1,199 @@
+/* @flow */
+
+import { inBrowser } from './dom'
+import { extend } from './misc'
+
+// 标记由路由器管理的head元素，服务端渲染输出的元素同样带有该标记，客户端更新时会接管这些元素
+const HEAD_ATTR = 'data-router-head'
+
+// 页面初始的标题，路由没有配置标题时恢复
+let initialTitle: ?string
+
+/**
+ * 根据匹配的路由记录计算页面的head：标题、meta和link标签
+ * 按照从父路由到子路由的顺序合并每条记录的meta.head（可以是接收路由的函数），子路由覆盖父路由：
+ * - title：没有配置meta.head.title时使用meta.title，最后应用titleTemplate
+ * - description和canonical：分别转换为name为description的meta标签和rel为canonical的link标签
+ * - meta和link：标签属性对象的数组（也可以是接收路由的函数），meta标签以key、name、property、http-equiv或charset区分，
+ *   link标签以key或者rel、hreflang和href区分，相同的标签由子路由覆盖
+ * @param route 路由
+ * @param options 路由器的head选项，其中的defaults会作为最先合并的配置
+ */
+export function resolveHead (route: Route, options: ?(boolean | HeadOptions)): Head {
+  const headOptions = options && typeof options === 'object' ? options : {}
+  const title = resolveTitle(route, headOptions.defaults)
+  const meta = {}
+  const link = {}
+  const sources = route.matched.map(record => getRecordHead(record, route))
+  if (headOptions.defaults) {
+    sources.unshift(headOptions.defaults)
+  }
+  sources.forEach(head => {
+    const description = resolveValue(head.description, route)
+    const canonical = resolveValue(head.canonical, route)
+    if (description != null) {
+      meta['name:description'] = { name: 'description', content: String(description) }
+    }
+    if (canonical != null) {
+      link['canonical'] = { rel: 'canonical', href: String(canonical) }
+    }
+    ;(resolveValue(head.meta, route) || []).forEach(tag => {
+      meta[getMetaKey(tag)] = tag
+    })
+    ;(resolveValue(head.link, route) || []).forEach(tag => {
+      link[getLinkKey(tag)] = tag
+    })
+  })
+
+  const template = headOptions.titleTemplate
+  return {
+    title: title != null && template
+      ? typeof template === 'function' ? template(title) : template.replace(/%s/g, title)
+      : title,
+    meta: Object.keys(meta).map(key => toAttrs(meta[key])),
+    link: Object.keys(link).map(key => toAttrs(link[key]))
+  }
+}
+
+/**
+ * 获取路由的标题（不应用titleTemplate），使用最深的配置了标题的路由记录
+ * @param route 路由
+ * @param defaults head选项中的默认配置
+ */
+export function resolveTitle (route: Route, defaults?: ?RouteHead): ?string {
+  for (let i = route.matched.length - 1; i >= 0; i--) {
+    const record = route.matched[i]
+    const head = getRecordHead(record, route)
+    const title = resolveValue(head.title !== undefined ? head.title : record.meta.title, route)
+    if (title != null) {
+      return String(title)
+    }
+  }
+  const title = defaults && resolveValue(defaults.title, route)
+  return title != null ? String(title) : null
+}
+
+/**
+ * 将head应用到页面上，只更新发生变化的标签，没有标题时恢复页面初始的标题
+ * 页面中其它不带标记的标签不会被修改，需要由路由器管理的默认标签应该配置在head选项的defaults中
+ * @param head resolveHead计算的head
+ */
+export function applyHead (head: Head) {
+  if (!inBrowser) {
+    return
+  }
+  if (initialTitle === undefined) {
+    initialTitle = document.title
+  }
+  const title = head.title != null ? head.title : initialTitle
+  if (title != null && document.title !== title) {
+    document.title = title
+  }
+
+  const el = document.head
+  if (!el) {
+    return
+  }
+  // 以标签的HTML作为标识，保留没有变化的标签，避免重新加载样式表等资源
+  const existing = {}
+  const elements = el.querySelectorAll(`[${HEAD_ATTR}]`)
+  for (let i = 0; i < elements.length; i++) {
+    const element = elements[i]
+    existing[renderTag(element.tagName.toLowerCase(), getElementAttrs(element))] = element
+  }
+  const tags = head.meta.map(attrs => ['meta', attrs]).concat(head.link.map(attrs => ['link', attrs]))
+  tags.forEach(([tag, attrs]) => {
+    const html = renderTag(tag, attrs)
+    if (existing[html]) {
+      delete existing[html]
+      return
+    }
+    const element = document.createElement(tag)
+    Object.keys(attrs).forEach(name => {
+      element.setAttribute(name, attrs[name])
+    })
+    element.setAttribute(HEAD_ATTR, '')
+    el.appendChild(element)
+  })
+  Object.keys(existing).forEach(html => {
+    const element = existing[html]
+    element.parentNode && element.parentNode.removeChild(element)
+  })
+}
+
+/**
+ * 将head渲染为HTML字符串，用于服务端渲染时输出到页面模板的<head>中
+ * @param head resolveHead计算的head
+ */
+export function stringifyHead (head: Head): string {
+  let html = head.title != null ? `<title>${escapeHTML(head.title)}</title>` : ''
+  head.meta.forEach(attrs => {
+    html += renderTag('meta', extend(extend({}, attrs), { [HEAD_ATTR]: '' }))
+  })
+  head.link.forEach(attrs => {
+    html += renderTag('link', extend(extend({}, attrs), { [HEAD_ATTR]: '' }))
+  })
+  return html
+}
+
+// 获取路由记录的head配置
+function getRecordHead (record: RouteRecord, route: Route): RouteHead {
+  return resolveValue(record.meta.head, route) || {}
+}
+
+// 配置的值可以是接收路由的函数
+function resolveValue (value: any, route: Route): any {
+  return typeof value === 'function' ? value(route) : value
+}
+
+function getMetaKey (tag: Object): string {
+  if (tag.key != null) return `key:${tag.key}`
+  if (tag.name != null) return `name:${tag.name}`
+  if (tag.property != null) return `property:${tag.property}`
+  if (tag['http-equiv'] != null) return `http-equiv:${tag['http-equiv']}`
+  if (tag.charset != null) return 'charset'
+  return `content:${String(tag.content)}`
+}
+
+function getLinkKey (tag: Object): string {
+  if (tag.key != null) return `key:${tag.key}`
+  return `${String(tag.rel)}|${tag.hreflang || ''}|${String(tag.href)}`
+}
+
+// 将标签的配置转换为属性，去掉用于区分标签的key和值为null的属性
+function toAttrs (tag: Object): Dictionary<string> {
+  const attrs = {}
+  Object.keys(tag).forEach(name => {
+    if (name !== 'key' && tag[name] != null) {
+      attrs[name] = String(tag[name])
+    }
+  })
+  return attrs
+}
+
+// 获取页面中已有的标签的属性（不包括标记属性）
+function getElementAttrs (element: any): Dictionary<string> {
+  const attrs = {}
+  for (let i = 0; i < element.attributes.length; i++) {
+    const { name, value } = element.attributes[i]
+    if (name !== HEAD_ATTR) {
+      attrs[name] = value
+    }
+  }
+  return attrs
+}
+
+// 渲染标签，属性按名称排序，保证相同的标签得到相同的结果
+function renderTag (tag: string, attrs: Dictionary<string>): string {
+  return `<${tag}` + Object.keys(attrs).sort().map(name =>
+    attrs[name] === '' ? ` ${name}` : ` ${name}="${escapeHTML(attrs[name])}"`
+  ).join('') + '>'
+}
+
+function escapeHTML (str: string): string {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
@@ -0,0 +1,102 @@
+/* @flow */
+
+import { warn } from './warn'
+import { extend } from './misc'
+import { isError } from './errors'
+
+/**
+ * 返回一个执行数据加载函数（loader）的导航守卫
+ * 目标路由所有匹配记录的加载函数并行执行，全部完成后将结果合并到目标路由的data中并继续导航，
+ * 任意一个加载函数失败时以错误中止导航（错误会传递给router.onError）
+ * 各个视图的结果保存在目标路由对象的loaded中，只有hash发生变化时，当前路由中仍然匹配的记录会复用之前的结果，不会重新加载
+ * @param route 目标路由
+ * @param current 当前路由
+ */
+export function resolveLoaders (route: Route, current: Route): NavigationGuard {
+  return (to: Route, from: Route, next: Function, signal?: AbortSignal) => {
+    const data = route.data
+    const loaded = route.loaded
+    if (!data || !loaded) {
+      return next()
+    }
+    const reuse = stripHash(route.fullPath) === stripHash(current.fullPath)
+    const tasks = []
+    route.matched.forEach((record, index) => {
+      const currentIndex = current.matched.indexOf(record)
+      const currentLoaded = reuse && currentIndex > -1 && current.loaded ? current.loaded[currentIndex] : null
+      Object.keys(record.loaders).forEach(view => {
+        if (currentLoaded && view in currentLoaded) {
+          tasks.push({ index, view, value: currentLoaded[view] })
+        } else {
+          tasks.push({ index, view, value: callLoader(record.loaders[view], route, current, signal) })
+        }
+      })
+    })
+
+    Promise.all(tasks.map(task => task.value)).then(values => {
+      // 导航已经被取消或中止，由后续的队列检查报告导航失败
+      if (signal && signal.aborted) {
+        return next()
+      }
+      values.forEach((value, i) => {
+        const { index, view } = tasks[i]
+        if (value != null && typeof value !== 'object') {
+          if (process.env.NODE_ENV !== 'production') {
+            warn(false, `loader of view "${view}" in route "${route.matched[index].path}" should resolve to an object, got ${typeof value}.`)
+          }
+          value = null
+        }
+        loaded[index][view] = value
+        value && extend(data, value) // 按照从父路由到子路由的顺序合并到$route.data
+      })
+      next()
+    }, err => {
+      if (signal && signal.aborted) {
+        return next()
+      }
+      next(isError(err) ? err : new Error(`Failed to load data for route "${route.path}": ${String(err)}`))
+    })
+  }
+}
+
+/**
+ * 将加载的结果复制到重新生成的同一位置的路由对象上（如修改历史记录的状态时）
+ * @param from 原来的路由对象
+ * @param to 重新生成的路由对象
+ */
+export function copyLoaderResults (from: Route, to: Route) {
+  if (from.data && to.data) {
+    extend(to.data, from.data)
+  }
+  const fromLoaded = from.loaded
+  const toLoaded = to.loaded
+  if (fromLoaded && toLoaded) {
+    to.matched.forEach((record, index) => {
+      const fromIndex = from.matched.indexOf(record)
+      if (fromIndex > -1) {
+        extend(toLoaded[index], fromLoaded[fromIndex])
+      }
+    })
+  }
+}
+
+/**
+ * 匹配的路由记录中是否配置了数据加载函数
+ */
+export function hasLoaders (matched: Array<RouteRecord>): boolean {
+  return matched.some(record => Object.keys(record.loaders).length > 0)
+}
+
+// 调用加载函数，同步抛出的错误同样转换为失败的Promise，保证其它加载函数的结果能够被正确处理
+function callLoader (loader: RouteLoader, route: Route, current: Route, signal: ?AbortSignal): any {
+  try {
+    return loader(route, current, signal)
+  } catch (e) {
+    return Promise.reject(e)
+  }
+}
+
+function stripHash (fullPath: string): string {
+  const index = fullPath.indexOf('#')
+  return index > -1 ? fullPath.slice(0, index) : fullPath
+}
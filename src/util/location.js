@@ -43,9 +43,10 @@ export function normalizeLocation (
       next.name = current.name
       next.params = params
     } else if (current.matched.length) { // 基于匹配的路由记录处理
-      const rawPath = current.matched[current.matched.length - 1].path // 获取最后一个匹配的路由的path
+      const record = current.matched[current.matched.length - 1] // 最后一个匹配的路由记录
+      const rawPath = record.path // 获取最后一个匹配的路由的path
       // 用合并后的params填充获取到的路径中参数占位符，生成最终的路径
-      next.path = fillParams(rawPath, params, `path ${current.path}`)
+      next.path = fillParams(rawPath, params, `path ${current.path}`, record.paramTypes)
     } else if (process.env.NODE_ENV !== 'production') { // 当前路由既不是命名路由，也没有匹配记录则提示错误
       warn(false, `relative params navigation requires a current route.`)
     }
@@ -81,6 +82,8 @@ export function normalizeLocation (
     _normalized: true,
     path,
     query,
-    hash
+    hash,
+    state: next.state,
+    background: next.background
   }
 }
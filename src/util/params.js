@@ -1,6 +1,7 @@
 /* @flow */
 
 import { warn } from './warn'
+import { extend } from './misc'
 import Regexp from 'path-to-regexp'
 
 // $flow-disable-line
@@ -8,12 +9,15 @@ const regexpCompileCache: {
   [key: string]: Function
 } = Object.create(null)
 
+// 将参数填充到路径中，生成最终的路径
+// 如果传入了参数类型，则会先使用参数类型的stringify将参数值序列化为字符串
 export function fillParams (
   path: string,
   params: ?Object,
-  routeMsg: string
+  routeMsg: string,
+  paramTypes?: ?Dictionary<ParamType>
 ): string {
-  params = params || {}
+  params = paramTypes ? stringifyParams(params || {}, paramTypes) : (params || {})
   try {
     const filler =
       regexpCompileCache[path] ||
@@ -35,3 +39,119 @@ export function fillParams (
     delete params[0]
   }
 }
+
+// 内置的参数类型
+const builtInParamTypes: Dictionary<ParamType> = {
+  string: {
+    parse: value => value,
+    stringify: String
+  },
+  number: {
+    parse: value => (/^-?\d+(\.\d+)?$/.test(value) ? Number(value) : undefined),
+    stringify: String
+  },
+  boolean: {
+    parse: value => (value === 'true' ? true : value === 'false' ? false : undefined),
+    stringify: String
+  },
+  date: {
+    parse: value => {
+      const date = new Date(value)
+      return isNaN(date.getTime()) ? undefined : date
+    },
+    // 没有时间部分的日期序列化为YYYY-MM-DD，保证'/2020-01-01'这样的路径可以原样还原
+    stringify: value => {
+      if (!(value instanceof Date)) return String(value)
+      const iso = value.toISOString()
+      return /T00:00:00\.000Z$/.test(iso) ? iso.slice(0, 10) : iso
+    }
+  }
+}
+
+// 规范化路由配置中的参数类型，返回{ parse, stringify }形式的参数类型字典
+// 子路由会继承父路由的参数类型（父路由的参数同样会出现在子路由的路径中）
+export function normalizeParamTypes (
+  config: ?Dictionary<ParamTypeOption>,
+  parentTypes: ?Dictionary<ParamType>
+): ?Dictionary<ParamType> {
+  if (!config) return parentTypes
+  const res: Dictionary<ParamType> = extend({}, parentTypes)
+  for (const key in config) {
+    const type = resolveParamType(config[key], `param "${key}"`)
+    if (type) res[key] = type
+  }
+  return res
+}
+
+// 将类型配置解析为{ parse, stringify }形式的类型，查询参数的类型声明也使用此函数解析
+export function resolveParamType (option: ParamTypeOption, msg: string): ?ParamType {
+  if (typeof option === 'string') { // 内置类型：string、number、boolean、date
+    if (process.env.NODE_ENV !== 'production') {
+      warn(builtInParamTypes[option], `unknown type "${option}" for ${msg}`)
+    }
+    return builtInParamTypes[option]
+  } else if (Array.isArray(option)) { // 枚举类型：只允许数组中的值
+    const values = option.map(String)
+    return {
+      parse: value => (values.indexOf(value) > -1 ? value : undefined),
+      stringify: String
+    }
+  } else if (option && typeof option.parse === 'function') { // 自定义类型
+    return {
+      parse: option.parse,
+      stringify: option.stringify || String
+    }
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn(false, `invalid type for ${msg}, expecting a type name, an array of values or { parse, stringify }`)
+  }
+}
+
+// 根据参数类型将参数值转换为对应类型的值，会直接修改传入的params对象
+// 字符串类型的值会直接解析，其它类型的值会先序列化再解析，保证得到的值是规范的
+// 参数值不能被解析（parse返回undefined或者抛出错误）时返回false，表示路由不匹配
+// 可重复的参数（如/:ids+）的值是数组，会逐个转换其中的元素
+export function castParams (
+  params: ?Object,
+  paramTypes: Dictionary<ParamType>
+): boolean {
+  if (!params) return true
+  for (const key in paramTypes) {
+    const value = params[key]
+    // 没有值的参数（如可选参数）不做处理
+    if (value == null) continue
+    const type = paramTypes[key]
+    const parsed = Array.isArray(value)
+      ? value.map(item => castParam(item, type))
+      : castParam(value, type)
+    if (Array.isArray(parsed) ? parsed.indexOf(undefined) > -1 : parsed === undefined) return false
+    params[key] = parsed
+  }
+  return true
+}
+
+// 转换单个参数值，不能被解析时返回undefined
+function castParam (value: any, type: ParamType): any {
+  try {
+    return type.parse(typeof value === 'string' ? value : type.stringify(value))
+  } catch (e) {
+    return undefined
+  }
+}
+
+// 根据参数类型将参数值序列化为字符串，返回一个新的对象
+export function stringifyParams (
+  params: Object,
+  paramTypes: Dictionary<ParamType>
+): Object {
+  const res = extend({}, params)
+  for (const key in paramTypes) {
+    const value = res[key]
+    const type = paramTypes[key]
+    if (Array.isArray(value)) { // 可重复的参数逐个序列化
+      res[key] = value.map(item => typeof item === 'string' ? item : type.stringify(item))
+    } else if (value != null && typeof value !== 'string') {
+      res[key] = type.stringify(value)
+    }
+  }
+  return res
+}
@@ -26,7 +26,9 @@ export const supportsPushState =
 
 
   // 导航到新的路由或者替换当前页面为新的路由
-export function pushState (url?: string, replace?: boolean) {
+  // route是导航的目标路由，它附带的状态（如router.push({ path, state })）和背景路由会保存在历史记录中，前进后退以及刷新页面后可以恢复
+export function pushState (url?: string, replace?: boolean, route?: Route) {
+  const entryData = getRouteEntryData(route)
   saveScrollPosition() // 保存当前页面的滚动位置信息
   // try...catch the pushState call to get around Safari
   // DOM Exception 18 where it limits to 100 pushState calls
@@ -38,9 +40,17 @@ export function pushState (url?: string, replace?: boolean) {
       // 生成一个新的state 对象
       const stateCopy = extend({}, history.state)
       stateCopy.key = getStateKey()
+      stateCopy.userState = entryData.state
+      stateCopy.background = entryData.background
       history.replaceState(stateCopy, '', url) // 使用新的state信息替换当前的历史状态
     } else { // 添加新的历史记录，会生成一个新的state-key
-      history.pushState({ key: setStateKey(genStateKey()) }, '', url)
+      // back标记上一条历史记录属于当前应用，页面刷新后仍然可以据此判断后退是否会离开应用
+      history.pushState({
+        key: setStateKey(genStateKey()),
+        back: true,
+        userState: entryData.state,
+        background: entryData.background
+      }, '', url)
     }
   } catch (e) { // pushState触发限制后使用location.replace或assign
     window.location[replace ? 'replace' : 'assign'](url)
@@ -48,6 +58,50 @@ export function pushState (url?: string, replace?: boolean) {
 }
 
 // 替换当前页面为新的路由
-export function replaceState (url?: string) {
-  pushState(url, true)
+export function replaceState (url?: string, route?: Route) {
+  pushState(url, true, route)
+}
+
+// 获取路由需要保存到历史记录中的数据：导航状态以及背景路由的完整路径
+export function getRouteEntryData (route?: ?Route): HistoryEntryData {
+  return {
+    state: route ? route.state : undefined,
+    background: route && route.background ? route.background.fullPath : undefined
+  }
+}
+
+// 获取当前历史记录中保存的导航状态和背景路由
+export function getHistoryEntryData (): ?HistoryEntryData {
+  const state = supportsPushState ? window.history.state : null
+  return state ? { state: state.userState, background: state.background } : null
+}
+
+// 获取当前历史记录state中保存的状态键，不支持pushState或者没有状态键时返回null
+export function getHistoryStateKey (): ?string {
+  const state = supportsPushState ? window.history.state : null
+  return state && typeof state.key === 'string' ? state.key : null
+}
+
+// 当前历史记录的上一条记录是否由路由器添加（即后退仍然停留在应用内）
+export function hasBackState (): boolean {
+  const state = supportsPushState ? window.history.state : null
+  return !!(state && state.back)
+}
+
+// 确保当前历史记录的state中有状态键，用于之后前进后退时识别该历史记录（如页面初次加载时state为null）
+export function ensureStateKey () {
+  if (supportsPushState && !getHistoryStateKey()) {
+    const stateCopy = extend({}, window.history.state)
+    stateCopy.key = getStateKey()
+    window.history.replaceState(stateCopy, '')
+  }
+}
+
+// 前进后退后，将状态键同步为当前历史记录的状态键
+// 避免之后replaceState时把其它历史记录的状态键写入当前的历史记录
+export function syncStateKey () {
+  const key = getHistoryStateKey()
+  if (key) {
+    setStateKey(key)
+  }
 }
@@ -1,6 +1,8 @@
 /* @flow */
 
 import { warn } from './warn'
+import { extend } from './misc'
+import { resolveParamType } from './params'
 
 const encodeReserveRE = /[!'()*]/g // 几个特殊的保留字符
 
@@ -84,12 +86,14 @@ function parseQuery (query: string): Dictionary<string> {
     // 除了第一个是参数名，剩下都是参数值，使用=重新拼接回去
     const val = parts.length > 0 ? decode(parts.join('=')) : null
 
-    if (res[key] === undefined) { // 结果中不包含当前键则添加
+    // 只判断结果自身的属性，toString等继承的属性按照不存在处理
+    const current = getOwn(res, key)
+    if (current === undefined) { // 结果中不包含当前键则添加
       res[key] = val
-    } else if (Array.isArray(res[key])) { // 已经包含且为数组追加到数组
-      res[key].push(val)
+    } else if (Array.isArray(current)) { // 已经包含且为数组追加到数组
+      current.push(val)
     } else { // 已经存在且不是数组，则转为数组并追加
-      res[key] = [res[key], val]
+      res[key] = [current, val]
     }
   })
 
@@ -149,3 +153,296 @@ export function stringifyQuery (obj: Dictionary<string>): string {
   // 如果转换结果非空，则在前面添加?号
   return res ? `?${res}` : ''
 }
+
+// 规范化路由配置中的查询参数声明（query schema）
+// 子路由会继承父路由的查询参数声明，同名的声明以子路由为准
+// 声明可以是一个类型（同路由参数的类型），也可以是一个对象：
+// { type: 类型, array: 是否为数组, default: 默认值或返回默认值的函数, values: 允许的值 }
+export function normalizeQuerySchema (
+  config: ?Dictionary<QueryFieldOption>,
+  parentSchema: ?Dictionary<QueryField>
+): ?Dictionary<QueryField> {
+  if (!config) return parentSchema
+  const res: Dictionary<QueryField> = extend({}, parentSchema)
+  for (const key in config) {
+    const option = config[key]
+    // 不是对象形式或者是自定义类型的对象时，作为类型处理
+    const field: Object = option && typeof option === 'object' && !Array.isArray(option) && typeof option.parse !== 'function'
+      ? option
+      : { type: option }
+    const type = resolveParamType(field.type || 'string', `query "${key}"`)
+    if (!type) continue
+    res[key] = {
+      type,
+      array: !!field.array,
+      default: field.default,
+      values: field.values
+    }
+  }
+  return res
+}
+
+// 根据查询参数声明转换查询参数对象，返回一个新的对象
+// 1. 声明了的参数值会被转换为对应的类型，不能被解析或者不在允许的值中的参数值会被忽略
+// 2. 声明为数组的参数总是得到一个数组，否则只取第一个有效的值
+// 3. 缺失（或者全部无效）的参数使用默认值
+// 4. 未声明的参数根据dropUnknown决定保留还是丢弃
+export function applyQuerySchema (
+  query: Dictionary<any>,
+  schema: Dictionary<QueryField>,
+  dropUnknown?: boolean
+): Dictionary<any> {
+  const res = {}
+  // 先按原有的顺序处理传入的参数，保证生成的URL中参数的顺序不变
+  for (const key in query) {
+    const field = schema[key]
+    const raw = query[key]
+    if (!field) {
+      if (!dropUnknown) res[key] = raw
+      continue
+    }
+    const values = []
+    if (raw !== undefined) {
+      (Array.isArray(raw) ? raw : [raw]).forEach(value => {
+        const parsed = castQueryValue(value, field)
+        if (parsed !== undefined) values.push(parsed)
+      })
+    }
+    if (values.length) {
+      res[key] = field.array ? values : values[0]
+    }
+  }
+  // 缺失或者无效的参数使用默认值
+  for (const key in schema) {
+    if (res[key] === undefined) {
+      const value = getQueryDefault(schema[key])
+      if (value !== undefined) res[key] = value
+    }
+  }
+  return res
+}
+
+// 根据查询参数声明将查询参数对象序列化为stringifyQuery可以处理的字符串对象
+// 等于默认值的参数不会出现在结果中，保证同一个查询参数对象总是生成相同的URL
+export function serializeQuery (
+  query: Dictionary<any>,
+  schema: Dictionary<QueryField>
+): Dictionary<any> {
+  const res = {}
+  for (const key in query) {
+    const field = schema[key]
+    const value = query[key]
+    if (!field) { // 未声明的参数原样保留
+      res[key] = value
+      continue
+    }
+    const serialized = serializeQueryValue(value, field)
+    const defaultValue = getQueryDefault(field)
+    if (
+      defaultValue === undefined ||
+      String(serialized) !== String(serializeQueryValue(defaultValue, field))
+    ) {
+      res[key] = serialized
+    }
+  }
+  return res
+}
+
+// 将单个查询参数值转换为声明的类型，无效的值返回undefined
+// 没有值的参数（?flag）值为null，原样保留
+function castQueryValue (value: any, field: QueryField): any {
+  if (value === null) return null
+  let parsed
+  try {
+    parsed = field.type.parse(typeof value === 'string' ? value : field.type.stringify(value))
+  } catch (e) {}
+  if (parsed === undefined) return
+  const allowedValues = field.values
+  if (allowedValues) {
+    const serialized = field.type.stringify(parsed)
+    if (!allowedValues.some(allowed => String(allowed) === serialized)) return
+  }
+  return parsed
+}
+
+function serializeQueryValue (value: any, field: QueryField): any {
+  const stringify = v => (v == null ? v : field.type.stringify(v))
+  return Array.isArray(value) ? value.map(stringify) : stringify(value)
+}
+
+// 获取查询参数的默认值，函数形式的默认值每次都会调用，避免共享同一个对象或数组
+function getQueryDefault (field: QueryField): any {
+  return typeof field.default === 'function' ? field.default() : field.default
+}
+
+const arrayFormats = ['repeat', 'brackets', 'indices', 'comma']
+const indexRE = /^\d+$/
+// 数组索引的上限，超过的索引作为追加处理，避免tags[99999999999]=x生成巨大的稀疏数组
+const MAX_ARRAY_INDEX = 100
+// 不能作为参数名路径的键，否则会修改对象的原型（原型污染）
+const unsafeKeys = ['__proto__', 'constructor', 'prototype']
+// 匹配带有[]的参数名，如filter[status]、tags[]、filter[tags][0]
+const bracketKeyRE = /^([^[\]]+)((?:\[[^[\]]*\])+)$/
+
+// 根据路由器的queryFormat选项创建查询参数的解析和序列化函数
+// arrays: 数组的格式
+//   - repeat: tags=a&tags=b（默认）
+//   - brackets: tags[]=a&tags[]=b
+//   - indices: tags[0]=a&tags[1]=b
+//   - comma: tags=a,b
+// nested: 是否支持嵌套的对象，如filter[status]=open&filter[tags][]=a
+// 序列化后再解析得到的对象与原对象相同，保证isSameRoute的比较结果稳定
+export function createQueryFormat (format: QueryFormat): {
+  parse: (query: string) => Dictionary<any>,
+  stringify: (obj: Dictionary<any>) => string
+} {
+  const arrays = format.arrays || 'repeat'
+  const nested = !!format.nested
+  if (process.env.NODE_ENV !== 'production') {
+    warn(
+      arrayFormats.indexOf(arrays) > -1,
+      `invalid queryFormat.arrays "${arrays}", expecting one of ${arrayFormats.join(', ')}`
+    )
+  }
+  // 参数名中是否可能包含[]
+  const useBrackets = nested || arrays === 'brackets' || arrays === 'indices'
+
+  // 将参数名解析成路径，如filter[tags][] => ['filter', 'tags', '']
+  const parseKey = (key: string): Array<string> => {
+    const m = useBrackets ? bracketKeyRE.exec(key) : null
+    if (!m) return [key]
+    const segments = m[2].slice(1, -1).split('][')
+    // 不支持嵌套对象时，只允许单个表示数组的[]或者[0]
+    if (!nested && (segments.length > 1 || !(segments[0] === '' || indexRE.test(segments[0])))) {
+      return [key]
+    }
+    return [m[1]].concat(segments)
+  }
+
+  const parse = (query: string): Dictionary<any> => {
+    const res = {}
+
+    query = query.trim().replace(/^(\?|#|&)/, '')
+    if (!query) {
+      return res
+    }
+
+    query.split('&').forEach(param => {
+      if (!param) return
+      const parts = param.replace(/\+/g, ' ').split('=')
+      const key = decode(parts.shift())
+      const raw = parts.length > 0 ? parts.join('=') : null
+      // comma格式下，未编码的逗号用于分隔数组元素，值本身包含的逗号会被编码为%2C
+      const val = raw === null
+        ? null
+        : arrays === 'comma' && raw.indexOf(',') > -1
+          ? raw.split(',').map(decode)
+          : decode(raw)
+      assignQueryValue(res, parseKey(key), val)
+    })
+
+    return res
+  }
+
+  // 将参数值序列化为键值对字符串，并添加到结果数组中
+  const serialize = (result: Array<string>, prefix: string, val: any) => {
+    if (val === undefined) return
+    if (val === null) {
+      result.push(prefix)
+    } else if (Array.isArray(val)) {
+      // comma格式无法表示对象数组，此时使用索引
+      if (arrays === 'comma' && !(nested && val.some(isPlainObject))) {
+        const items = val.filter(item => item != null)
+        if (items.length) {
+          result.push(prefix + '=' + items.map(item => encode(item).replace(/,/g, '%2C')).join(','))
+        }
+        return
+      }
+      val.forEach((item, i) => {
+        // 数组中的对象总是使用索引，否则无法区分对象属于哪个元素
+        const isObject = nested && isPlainObject(item)
+        const itemPrefix = arrays === 'indices' || isObject
+          ? `${prefix}[${i}]`
+          : arrays === 'brackets' ? `${prefix}[]` : prefix
+        serialize(result, itemPrefix, item)
+      })
+    } else if (nested && isPlainObject(val)) {
+      Object.keys(val).forEach(key => {
+        serialize(result, `${prefix}[${encode(key)}]`, val[key])
+      })
+    } else {
+      const str = encode(val)
+      result.push(prefix + '=' + (arrays === 'comma' ? str.replace(/,/g, '%2C') : str))
+    }
+  }
+
+  const stringify = (obj: Dictionary<any>): string => {
+    const result = []
+    if (obj) {
+      Object.keys(obj).forEach(key => {
+        serialize(result, encode(key), obj[key])
+      })
+    }
+    return result.length ? `?${result.join('&')}` : ''
+  }
+
+  return {
+    parse,
+    stringify
+  }
+}
+
+// 根据参数名解析出来的路径，将参数值设置到结果对象中
+// ''表示往数组中追加，数字表示数组的索引，其它的表示对象的属性
+// 同一个参数名出现多次时，与parseQuery一样转为数组
+// 路径中包含__proto__等键的参数会被忽略，只合并对象自身的属性，toString等继承的属性按照不存在处理
+function assignQueryValue (res: Object, path: Array<string>, val: any) {
+  if (path.some(segment => unsafeKeys.indexOf(segment) > -1)) {
+    return
+  }
+  let target: any = res
+  for (let i = 0; i < path.length - 1; i++) {
+    const segment = toArraySegment(target, path[i])
+    const next = path[i + 1]
+    // 下一段是任意数字索引时都创建数组，超过上限的索引会作为追加处理
+    const wantArray = next === '' || indexRE.test(next)
+    let container = Array.isArray(target) && segment === '' ? undefined : getOwn(target, segment)
+    if (container == null || typeof container !== 'object') {
+      container = wantArray ? [] : {}
+      if (Array.isArray(target) && segment === '') {
+        target.push(container)
+      } else {
+        target[segment] = container
+      }
+    }
+    target = container
+  }
+
+  const last = toArraySegment(target, path[path.length - 1])
+  const current = getOwn(target, last)
+  if (Array.isArray(target) && last === '') {
+    Array.isArray(val) ? target.push.apply(target, val) : target.push(val)
+  } else if (Array.isArray(target) && indexRE.test(last)) {
+    target[Number(last)] = val
+  } else if (current === undefined) {
+    target[last] = val
+  } else if (Array.isArray(current)) {
+    target[last] = current.concat(val)
+  } else {
+    target[last] = [current].concat(val)
+  }
+}
+
+// 获取对象自身的属性值，不读取原型链上的属性
+function getOwn (target: Object, key: string): any {
+  return Object.prototype.hasOwnProperty.call(target, key) ? target[key] : undefined
+}
+
+// 数组中超过上限的索引按照追加（''）处理
+function toArraySegment (target: any, segment: string): string {
+  return Array.isArray(target) && indexRE.test(segment) && Number(segment) > MAX_ARRAY_INDEX ? '' : segment
+}
+
+function isPlainObject (val: any): boolean {
+  return Object.prototype.toString.call(val) === '[object Object]'
+}
@@ -0,0 +1,150 @@
+/* @flow */
+
+import Regexp from 'path-to-regexp'
+
+// 路由排名相关的工具函数
+// 根据路由路径的结构给每条路由记录计算一个分数，匹配时按照分数从高到低的顺序进行匹配
+// 这样不论路由的声明顺序如何，更具体的路由总是会优先被匹配
+// 如'/users/new'总是会优于'/users/:id'，'/users/:id'总是会优于'/users/*'
+
+// 各类路径片段的分值
+// 每个路径段（以/分隔）都会得到一个分数数组，数组中的每一项对应一个子片段（如'file.:ext'有两个子片段）
+// 可选参数和通配符的分值为负数，表示该路径段可以为空
+export const PathScore = {
+  Root: 90, // 根路径'/'
+  Segment: 40, // 路径段中的第一个子片段的基础分
+  SubSegment: 30, // 路径段中的后续子片段的基础分，如'file.:ext'中的:ext
+  Static: 40, // 静态片段
+  Dynamic: 20, // 动态参数
+  BonusCustomRegExp: 10, // 自定义正则的参数，如':id(\\d+)'
+  BonusWildcard: -120, // 通配符'*'，保证其排在所有路由的后面
+  BonusRepeatable: -20, // 可重复的参数，如':id+'、':id*'
+  BonusOptional: -80, // 可选参数，如':id?'
+  BonusCaseSensitive: 0.25 // 大小写敏感的路由
+}
+
+// 路径分数的缓存，以路径和是否大小写敏感作为键
+// $flow-disable-line
+const scoreCache: Dictionary<Array<Array<number>>> = Object.create(null)
+
+/**
+ * 计算路由记录的分数
+ * @param record 路由记录
+ * @returns 分数数组，每一项是一个路径段的子片段分数数组
+ */
+export function getRecordScore (record: RouteRecord): Array<Array<number>> {
+  // 路径正则没有i标志则说明是大小写敏感的
+  const sensitive = !record.regex.ignoreCase
+  const key = (sensitive ? 's:' : 'i:') + record.path
+  return scoreCache[key] || (scoreCache[key] = computePathScore(record.path, sensitive))
+}
+
+/**
+ * 根据路径计算分数
+ * @param path 规范化后的路由路径
+ * @param sensitive 是否大小写敏感
+ */
+export function computePathScore (path: string, sensitive?: boolean): Array<Array<number>> {
+  const segments: Array<Array<number>> = []
+  let current: ?Array<number> = null
+  const bonus = sensitive ? PathScore.BonusCaseSensitive : 0
+
+  // 开始一个新的路径段
+  const pushSegment = () => {
+    current = []
+    segments.push(current)
+    return current
+  }
+  // 子片段的基础分，路径段的第一个子片段与后续子片段的基础分不同
+  const baseScore = segment => (segment.length ? PathScore.SubSegment : PathScore.Segment) + bonus
+
+  Regexp.parse(path).forEach(token => {
+    if (typeof token === 'string') {
+      // 静态的字符串片段可能包含多个路径段，如'/users/new'
+      token.split('/').forEach((part, i) => {
+        const segment = i > 0 || !current ? pushSegment() : current
+        if (part) {
+          segment.push(baseScore(segment) + PathScore.Static)
+        }
+      })
+    } else {
+      // 以/作为前缀的参数会开始一个新的路径段，否则是当前路径段的子片段（如'file.:ext'）
+      const segment = token.prefix === '/' || !current ? pushSegment() : current
+      let score = baseScore(segment) + PathScore.Dynamic
+      if (token.asterisk) {
+        score += PathScore.BonusWildcard
+      } else if (token.pattern !== `[^${escapeDelimiter(token.delimiter)}]+?`) {
+        score += PathScore.BonusCustomRegExp
+      }
+      if (token.optional) score += PathScore.BonusOptional
+      if (token.repeat) score += PathScore.BonusRepeatable
+      segment.push(score)
+    }
+  })
+
+  // 移除空的路径段（如开头或者末尾的/），如果没有剩余的路径段则是根路径
+  const result = segments.filter(segment => segment.length)
+  return result.length ? result : [[PathScore.Root + bonus]]
+}
+
+/**
+ * 比较两个路径段的分数
+ * @returns 小于0则a排在前面，大于0则b排在前面
+ */
+function compareSegmentScore (a: Array<number>, b: Array<number>): number {
+  let i = 0
+  while (i < a.length && i < b.length) {
+    const diff = b[i] - a[i]
+    if (diff) return diff
+    i++
+  }
+  // 前面的子片段都相同，则子片段更多的更具体，排在前面
+  return b.length - a.length
+}
+
+/**
+ * 比较两个路由路径的分数
+ * @returns 小于0则a排在前面，大于0则b排在前面，等于0则保持原有顺序
+ */
+export function comparePathScore (a: Array<Array<number>>, b: Array<Array<number>>): number {
+  let i = 0
+  while (i < a.length && i < b.length) {
+    const diff = compareSegmentScore(a[i], b[i])
+    if (diff) return diff
+    i++
+  }
+  if (a.length === b.length) return 0
+  // 前面的路径段都相同时，如果更长的路径接下来的路径段是可选的（如'/users/:id?'）或者通配符，
+  // 则它也可能匹配较短的路径，此时较短的路径更具体，排在前面
+  // 否则两者不会匹配到相同的路径，更长的排在前面
+  const longer = a.length > b.length ? a : b
+  const shorterFirst = longer[i][0] < 0
+  return (longer === a) === shorterFirst ? 1 : -1
+}
+
+/**
+ * 根据路由记录的分数对路径列表进行排序，分数相同的路由保持声明的顺序
+ * 会直接修改传入的路径列表
+ * @param pathList 路径列表
+ * @param pathMap 基于路径的路由映射对象
+ */
+export function rankPathList (
+  pathList: Array<string>,
+  pathMap: Dictionary<RouteRecord>
+) {
+  // 记录原有的顺序，保证排序的稳定性
+  // $flow-disable-line
+  const order: Dictionary<number> = Object.create(null)
+  pathList.forEach((path, i) => {
+    order[path] = i
+  })
+  pathList.sort((a, b) => (
+    comparePathScore(getRecordScore(pathMap[a]), getRecordScore(pathMap[b])) ||
+    order[a] - order[b]
+  ))
+}
+
+// 转义正则中的特殊字符，与path-to-regexp生成默认参数正则的方式保持一致
+function escapeDelimiter (str: string): string {
+  return str.replace(/([.+*?=^!:${}()[\]|\/\\])/g, '\\$1')
+}
@@ -2,13 +2,20 @@
 
 import { _Vue } from '../install'
 import { warn } from './warn'
-import { isError } from '../util/errors'
+import { isError, createNavigationChunkLoadError } from '../util/errors'
+import { normalizeChunkLoadRetry, getRetryDelay, reloadPage } from './chunk-load'
+import type { ChunkLoadRetry } from './chunk-load'
+import type Router from '../index'
 
 // 处理异步路由组件
 // 返回一个导航守卫，当路由匹配中包含异步组件时，会暂停导航，直到这些组件被解析完成
-export function resolveAsyncComponents (matched: Array<RouteRecord>): Function {
+// 导航的signal会作为第三个参数传递给加载函数，导航被取消时可以中止组件的加载请求
+// 配置了chunkLoadRetry时，代码块加载失败会按照退避策略重试，仍然失败时可以重新加载页面到目标地址，
+// 并以chunkLoad类型的导航失败中止导航
+export function resolveAsyncComponents (matched: Array<RouteRecord>, router: Router): Function {
+  const retry = normalizeChunkLoadRetry(router.options.chunkLoadRetry)
   // 返回一个导航守卫
-  return (to, from, next) => {
+  return (to, from, next, signal) => {
     let hasAsync = false // 标记是否有异步组件
     let pending = 0 // 待处理的异步组件数量
     let error = null // 异步组件加载失败的错误信息
@@ -26,34 +33,32 @@ export function resolveAsyncComponents (matched: Array<RouteRecord>): Function {
       // Vue默认的处理异步组件的方式是非阻塞的，这样会导致导航在组件解析完成前就继续进行
       // 而路由导航守卫是需要在导航完成前处理一些特定的逻辑（如错误处理机制、数据记载、防止多次加载和竞态条件等），
       // 需要阻塞导航继续进行，因此需要定义resolve和rejrect函数来处理异步组件的解析
-      if (typeof def === 'function' && def.cid === undefined) {
+      // 非阻塞的路由记录（配置了loadingComponent、errorComponent或者blocking: false）不等待组件加载，由RouterView显示加载状态
+      if (isAsyncComponent(def) && match.blocking) {
         hasAsync = true // 标记为有异步组件
         pending++ // 待解决的组件数+1
 
-        // 为每个异步组件创建resole和reject回调函数
-
-        // resolve回调，当租价解析完成时调用只会被执行一次
-        const resolve = once(resolvedDef => {
-          if (isESModule(resolvedDef)) { // 如果是一个ES模块则获取其默认导出
-            resolvedDef = resolvedDef.default
-          }
-          // save resolved on async factory in case it's used elsewhere
-          // 保存解析后的组件定义，可以被其它需要的地方使用
-          def.resolved = typeof resolvedDef === 'function'
-            ? resolvedDef
-            : _Vue.extend(resolvedDef)
-          // 将解析后的组件定义保存到当前路由记录的components属性中
-          match.components[key] = resolvedDef
+        // 加载异步组件，如果已经被预加载（router.prefetch）或者正在被其它导航加载，则复用同一次加载
+        loadAsyncComponent(def, signal, retry).then(resolvedDef => {
+          saveResolvedComponent(def, match, key, resolvedDef)
           pending-- // 减少待处理组件数
           // 如果所有组件都已经解析完毕，则调用next方法
           if (pending <= 0) {
             next()
           }
-        })
-
-
-        // reject回调，组件解析失败时调用，只会被执行一次
-        const reject = once(reason => {
+        }, reason => {
+          // 导航已经被取消，加载函数因signal中止而失败，由后续的队列检查报告导航失败
+          if (signal && signal.aborted) {
+            return next()
+          }
+          if (retry && retry.isChunkLoadError(reason)) {
+            if (!error) {
+              const reload = retry.reload && reloadPage(router.resolve(to.fullPath).href)
+              error = createNavigationChunkLoadError(from, to, reason, reload)
+              next(error)
+            }
+            return
+          }
           const msg = `Failed to resolve async component ${key}: ${reason}`
           process.env.NODE_ENV !== 'production' && warn(false, msg)
           if (!error) { // 错误只执行一次
@@ -63,36 +68,6 @@ export function resolveAsyncComponents (matched: Array<RouteRecord>): Function {
             next(error)
           }
         })
-
-
-        // 在Vue中定义异步组件可以使用打包工具（如Webpack）结合import来动态加载模块：() => import("xxxx")
-        // 也可以使用自定义工厂函数的方式来定义，并接收resolve和reject函数作为参数： (resolve, reject) => { resolve(component) }
-        let res
-        try {
-          // 尝试调用异步组件加载函数，将resolve和reject传入
-          // 如 const AsyncComponent = (resolve, reject) => setTimeout(() => resolve({ template: "<div>Async</div>" }), 1000)
-          res = def(resolve, reject)
-        } catch (e) { // 调用发生错误
-          reject(e) // 解析失败
-        }
-        if (res) {
-          // 如果解析函数返回了一个promise, 如 () => import("xxxx")
-          // 则传入resolve和reject作为then的参数执行
-          // 在这个地方，自定义的工厂函数也可能是返回了一个promise，此时也会进入此逻辑
-          // 如果自定义函数在返回promise之前已经执行了resolve函数，在Promise解决后又会执行一次resolve
-          // 由于resolve并定义为只保证执行一次，所以这种情况不会有副作用
-          if (typeof res.then === 'function') {
-            res.then(resolve, reject)
-          } else {
-            // new syntax in Vue 2.3
-            // 不是返回一个promise，则看是否返回了包含component属性的对象
-            // component属性也应该是一个Promise
-            const comp = res.component
-            if (comp && typeof comp.then === 'function') {
-              comp.then(resolve, reject)
-            }
-          }
-        }
       }
     })
 
@@ -101,6 +76,110 @@ export function resolveAsyncComponents (matched: Array<RouteRecord>): Function {
   }
 }
 
+/**
+ * 预加载路由记录中的异步组件，与导航时的解析共享同一次加载，加载完成后导航不再需要等待
+ * @param matched 路由记录
+ * @returns 所有异步组件加载完成后resolve，任意一个加载失败时reject
+ */
+export function prefetchAsyncComponents (matched: Array<RouteRecord>, retry: ?ChunkLoadRetry): Promise<void> {
+  const loads = flatMapComponents(matched, (def, _, match, key) => {
+    if (isAsyncComponent(def)) {
+      return loadAsyncComponent(def, undefined, retry).then(resolvedDef => {
+        saveResolvedComponent(def, match, key, resolvedDef)
+      })
+    }
+  })
+  return Promise.all(loads).then(() => {})
+}
+
+// 是否是尚未解析的异步组件（加载函数）
+export function isAsyncComponent (def: any): boolean {
+  return typeof def === 'function' && def.cid === undefined
+}
+
+/**
+ * 加载异步组件，加载的Promise会缓存在加载函数上，同一个组件同时只会加载一次
+ * 之前的加载被其signal中止时重新加载，加载失败时清除缓存，下一次导航或预加载会重新尝试
+ * @param def 异步组件的加载函数
+ * @param signal 导航的signal，预加载时为undefined
+ * @param retry 代码块加载失败时的重试策略，重试期间signal被中止时不再重试
+ * @returns resolve为解析后的组件定义
+ */
+export function loadAsyncComponent (def: any, signal?: AbortSignal, retry?: ?ChunkLoadRetry): Promise<any> {
+  const loading = def._routerLoading
+  if (loading && !(loading.signal && loading.signal.aborted)) {
+    return loading.promise
+  }
+  const attempt = (count: number) => callAsyncFactory(def, signal).catch(reason => {
+    if (!retry || count >= retry.retries || (signal && signal.aborted) || !retry.isChunkLoadError(reason)) {
+      throw reason
+    }
+    const delay = getRetryDelay(retry, count)
+    return new Promise(resolve => {
+      setTimeout(resolve, delay)
+    }).then(() => {
+      if (signal && signal.aborted) {
+        throw reason
+      }
+      return attempt(count + 1)
+    })
+  })
+  const promise = attempt(0).catch(reason => {
+    if (def._routerLoading && def._routerLoading.promise === promise) {
+      def._routerLoading = null
+    }
+    throw reason
+  })
+  def._routerLoading = { promise, signal }
+  return promise
+}
+
+// 调用一次异步组件的加载函数
+function callAsyncFactory (def: any, signal?: AbortSignal): Promise<any> {
+  return new Promise((resolve, reject) => {
+    // 在Vue中定义异步组件可以使用打包工具（如Webpack）结合import来动态加载模块：() => import("xxxx")
+    // 也可以使用自定义工厂函数的方式来定义，并接收resolve和reject函数作为参数： (resolve, reject) => { resolve(component) }
+    // Promise的resolve和reject只会生效一次，加载函数多次调用resolve（如webpack2的require.ensure）不会有副作用
+    let res
+    try {
+      // 尝试调用异步组件加载函数，将resolve、reject和导航的signal传入
+      // 如 const AsyncComponent = (resolve, reject) => setTimeout(() => resolve({ template: "<div>Async</div>" }), 1000)
+      res = def(resolve, reject, signal)
+    } catch (e) { // 调用发生错误
+      reject(e) // 解析失败
+    }
+    if (res) {
+      // 如果解析函数返回了一个promise, 如 () => import("xxxx")
+      // 则传入resolve和reject作为then的参数执行
+      if (typeof res.then === 'function') {
+        res.then(resolve, reject)
+      } else {
+        // new syntax in Vue 2.3
+        // 不是返回一个promise，则看是否返回了包含component属性的对象
+        // component属性也应该是一个Promise
+        const comp = res.component
+        if (comp && typeof comp.then === 'function') {
+          comp.then(resolve, reject)
+        }
+      }
+    }
+  }).then(resolvedDef => {
+    // 如果是一个ES模块则获取其默认导出
+    return isESModule(resolvedDef) ? resolvedDef.default : resolvedDef
+  })
+}
+
+// 保存解析后的组件定义
+export function saveResolvedComponent (def: any, match: RouteRecord, key: string, resolvedDef: any) {
+  // save resolved on async factory in case it's used elsewhere
+  // 保存解析后的组件定义，可以被其它需要的地方使用
+  def.resolved = typeof resolvedDef === 'function'
+    ? resolvedDef
+    : _Vue.extend(resolvedDef)
+  // 将解析后的组件定义保存到当前路由记录的components属性中
+  match.components[key] = resolvedDef
+}
+
 // 遍历路由中的组件，对每个组件应用给定的处理函数，将处理结果返回的数组扁平化后返回
 export function flatMapComponents (
   matched: Array<RouteRecord>,
@@ -130,23 +209,3 @@ const hasSymbol =
 function isESModule (obj) {
   return obj.__esModule || (hasSymbol && obj[Symbol.toStringTag] === 'Module')
 }
-
-// in Webpack 2, require.ensure now also returns a Promise
-// so the resolve/reject functions may get called an extra time
-// if the user uses an arrow function shorthand that happens to
-// return that Promise.
-// webpack2 的require.ensure返回一个Promise
-// 如果用户在使用resole时，又使用了箭头函数的缩写，则会将这个promise返回，从而让resolve执行多次
-// 如 const AsyncComponent = (resolve, reject) => resolve(require.ensure([], require => require('AsyncComponent')))
-// 这个与自定义的工厂函数返回Promise是同样的道理，所以resolve/reject函数可能会被调用一次多余的
-// 定义该函数包裹resolve和reject，确保只被执行一次
-
-// 保证函数只被调用一次
-function once (fn) {
-  let called = false
-  return function (...args) {
-    if (called) return
-    called = true
-    return fn.apply(this, args)
-  }
-}
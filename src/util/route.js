@@ -1,7 +1,9 @@
 /* @flow */
 
 import type VueRouter from '../index'
-import { stringifyQuery } from './query'
+import { extend } from './misc'
+import { stringifyQuery, applyQuerySchema, serializeQuery } from './query'
+import { hasLoaders } from './loaders'
 
 const trailingSlashRE = /\/?$/
 
@@ -21,6 +23,13 @@ export function createRoute (
     query = clone(query)
   } catch (e) {}
 
+  // 路由声明了查询参数时，将查询参数转换为声明的类型并填充默认值
+  // 完整路径中则使用序列化后的查询参数，等于默认值的参数不会出现在完整路径中
+  const querySchema = record && record.querySchema
+  if (record && querySchema) {
+    query = applyQuerySchema(query, querySchema, record.strictQuery)
+  }
+
   // 构建路由对象
   const route: Route = {
     name: location.name || (record && record.name), // 路由名称
@@ -29,9 +38,24 @@ export function createRoute (
     hash: location.hash || '', // 哈希值
     query, // 查询对象
     params: location.params || {}, // 参数对象
-    fullPath: getFullPath(location, stringifyQuery), // 完整路径，参数对象转字符串后和hash拼接在路径后面
+    fullPath: getFullPath(
+      querySchema ? extend(extend({}, location), { query: serializeQuery(query, querySchema) }) : location,
+      stringifyQuery
+    ), // 完整路径，参数对象转字符串后和hash拼接在路径后面
     matched: record ? formatMatch(record) : [] // 从当前路由到根路由的所有路由记录数组
   }
+  // 导航时附带的状态
+  if (location.state !== undefined) {
+    route.state = location.state
+  }
+  // 配置了数据加载函数时，加载的结果会在导航过程中合并到data中
+  // loaded按照匹配的路由记录保存各个视图的加载结果，RouterView将其作为props传递给组件，
+  // 结果属于这一次导航得到的路由对象，不会在路由记录上共享；loaded不可枚举，不属于路由对象公开的信息
+  // 路由对象会被冻结，因此预先创建data和loaded对象
+  if (hasLoaders(route.matched)) {
+    route.data = {}
+    Object.defineProperty(route, 'loaded', { value: route.matched.map(() => ({})) })
+  }
   // 重定向来源的完整的路径
   if (redirectedFrom) {
     route.redirectedFrom = getFullPath(redirectedFrom, stringifyQuery)
@@ -44,6 +68,8 @@ export function createRoute (
 function clone (value) {
   if (Array.isArray(value)) { // 数组，遍历并递归克隆
     return value.map(clone)
+  } else if (value instanceof Date) { // 日期（声明了类型的查询参数）
+    return new Date(value.getTime())
   } else if (value && typeof value === 'object') { // 对象，遍历并递归克隆
     const res = {}
     for (const key in value) {
@@ -137,6 +163,9 @@ function isObjectEqual (a = {}, b = {}): boolean {
     // query values can be null and undefined
     if (aVal == null || bVal == null) return aVal === bVal // null或undefined的比较
     // check nested equality
+    if (aVal instanceof Date && bVal instanceof Date) { // 日期，比较时间
+      return aVal.getTime() === bVal.getTime()
+    }
     if (typeof aVal === 'object' && typeof bVal === 'object') { // 对象，递归比较
       return isObjectEqual(aVal, bVal)
     }
@@ -9,6 +9,11 @@ const Time =
     ? window.performance
     : Date
 
+// 获取当前的时间戳，用于计算导航的耗时
+export function now (): number {
+  return Time.now()
+}
+
 // 生成状态键：保留三位小数的时间戳
 export function genStateKey (): string {
   return Time.now().toFixed(3)
@@ -1,5 +1,5 @@
 import type { ComputedRef, Ref } from 'vue'
-import type { Route, NavigationGuard, default as VueRouter } from './index'
+import type { Route, NavigationGuard, NavigationState, default as VueRouter } from './index'
 
 /**
  * Returns the current route location. Equivalent to using `$route` inside templates.
@@ -11,6 +11,12 @@ export function useRoute(): Route
  */
 export function useRouter(): VueRouter
 
+/**
+ * Returns the reactive state of the ongoing navigation, e.g. to show a spinner while guards, loaders and async
+ * components resolve. Equivalent to using `$router.navigationState` inside templates.
+ */
+export function useNavigationState(): NavigationState
+
 /**
  * Add a navigation guard that triggers whenever the current location is about to be updated. Similar to beforeRouteUpdate but can be used in any component. The guard is removed when the component is unmounted.
  *
@@ -34,6 +40,14 @@ export interface RouterLinkOptions {
    * Calls `router.replace` instead of `router.push`.
    */
   replace?: boolean
+  /**
+   * When to prefetch the async components of the target route, same as the `prefetch` prop of `<router-link>`:
+   * - `"hover"` (or `true`): when the returned `prefetchListeners` fire, bind them to the link element
+   * - `"visible"`: once the root element of the component enters the viewport, falls back to `"hover"` when
+   *   `IntersectionObserver` is not supported
+   * - `"immediate"`: once the component is mounted and whenever the target changes
+   */
+  prefetch?: boolean | 'hover' | 'visible' | 'immediate'
 }
 
 /**
@@ -42,10 +56,19 @@ export interface RouterLinkOptions {
  *
  * @param props - object containing a `to` property with the location
  */
-export function useLink({ to, replace }: RouterLinkOptions): {
+export function useLink({ to, replace, prefetch }: RouterLinkOptions): {
   route: ComputedRef<Route>,
   isActive: ComputedRef<boolean>,
   isExactActive: ComputedRef<boolean>,
   href: ComputedRef<string>,
   navigate: () => Promise<void>,
+  /**
+   * Prefetches the async components of the target route, see {@link VueRouter.prefetch | router.prefetch()}.
+   */
+  prefetch: () => Promise<void>,
+  /**
+   * Listeners prefetching the target route on `mouseenter`, `focus` and `touchstart`, to be bound with
+   * `v-on="prefetchListeners"`. Empty unless `prefetch` is `"hover"`, `true` or `"visible"`.
+   */
+  prefetchListeners: { [event: string]: () => Promise<void> },
 }
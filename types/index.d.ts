@@ -6,18 +6,38 @@ export { RouterView, RouterLink, START_LOCATION, NavigationFailureType, isNaviga
 
 export type {
   RouterMode,
+  HistoryStorage,
+  ChunkLoadRetryOptions,
+  A11yOptions,
+  HeadOptions,
+  RouteHead,
+  HeadTag,
+  Head,
+  RouterHistory,
+  RouterHistoryEntry,
   RouteMeta,
   RawLocation,
   RedirectOption,
   RouterOptions,
   RouteConfig,
+  RouteParamType,
+  RouteQueryField,
+  RouteLoader,
   RouteRecord,
   RouteRecordPublic,
   Location,
   Route,
   NavigationGuard,
   NavigationGuardNext,
-  NavigationFailure
+  NavigationGuardReturn,
+  NavigationGuardInfo,
+  NavigationEvent,
+  NavigationState,
+  NavigationPhase,
+  NavigationEventName,
+  NavigationFailure,
+  RouterViewSlotArgument,
+  RouterViewErrorSlotArgument
 } from './router'
 
 import './composables'
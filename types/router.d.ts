@@ -13,17 +13,77 @@ type Component =
 type Dictionary<T> = { [key: string]: T }
 type ErrorHandler = (err: Error) => void
 
-export type RouterMode = 'hash' | 'history' | 'abstract'
+export type RouterMode = 'hash' | 'history' | 'navigation' | 'abstract' | 'memory'
+
+/**
+ * Entry of the history visited inside the app.
+ */
+export interface RouterHistoryEntry {
+  /**
+   * Identifier of the browser history entry, `null` when the browser does not support `history.state`.
+   */
+  key: string | null
+  route: Route
+  /**
+   * Position of the entry in {@link RouterHistory.getEntries}.
+   */
+  position: number
+}
+
+export interface RouterHistory {
+  /**
+   * Entries visited inside the app, ordered as in the browser history. Entries created before a page reload are
+   * unknown and only start being tracked again once navigated to.
+   */
+  getEntries(): RouterHistoryEntry[]
+  /**
+   * Position of the current entry in {@link getEntries}.
+   */
+  getCurrentIndex(): number
+  /**
+   * Whether going back stays inside the app.
+   */
+  canGoBack(): boolean
+  /**
+   * Whether going forward stays inside the app.
+   */
+  canGoForward(): boolean
+}
+
+/**
+ * Storage adapter used by the `"memory"` mode to persist its history stack. Compatible with `sessionStorage` and
+ * `localStorage`.
+ */
+export interface HistoryStorage {
+  getItem(key: string): string | null | undefined
+  setItem(key: string, value: string): void
+}
 export type RawLocation = string | Location
 export type RedirectOption = RawLocation | ((to: Route) => RawLocation)
 export type NavigationGuardNext<V extends Vue = Vue> = (
   to?: RawLocation | false | ((vm: V) => any) | void
 ) => void
 
+/**
+ * Value a navigation guard declared without `next` can return (or resolve to): `true` or `undefined` to continue,
+ * `false` to abort, a location to redirect or an `Error` to fail the navigation.
+ */
+export type NavigationGuardReturn = boolean | RawLocation | Error | void
+
+/**
+ * Navigation guard. Guards declaring the `next` argument must call it, guards declaring only `to` and `from` control
+ * the navigation with their return value instead, see {@link NavigationGuardReturn}.
+ *
+ * `signal` is aborted when the navigation is cancelled by a newer one, aborted, redirected or fails, and can be passed
+ * to `fetch()`. It is `undefined` where `AbortController` is not supported. Guards without `next` receive it as their
+ * third argument, which must have a default value (`(to, from, signal = undefined) => ...`) so that the guard is not
+ * treated as calling `next`.
+ */
 export type NavigationGuard<V extends Vue = Vue> = (
   to: Route,
   from: Route,
-  next: NavigationGuardNext<V>
+  next: NavigationGuardNext<V>,
+  signal?: AbortSignal
 ) => any
 
 /**
@@ -45,6 +105,14 @@ export declare class VueRouter {
    * Current {@link Route}
    */
   currentRoute: Route
+  /**
+   * State of the ongoing navigation. Reactive when read from a component.
+   */
+  readonly navigationState: NavigationState
+  /**
+   * History implementation used by the router. Keeps track of the entries visited inside the app, in every mode.
+   */
+  history: RouterHistory
 
   /**
    * Add a navigation guard that executes before any navigation.
@@ -57,6 +125,10 @@ export declare class VueRouter {
    * router.beforeEach((to, from, next) => {
    *   // must call `next`
    * })
+   *
+   * router.beforeEach(async (to, from) => {
+   *   // return `false` to abort, a location to redirect
+   * })
    * ```
    */
   beforeEach(guard: NavigationGuard): () => void
@@ -77,18 +149,20 @@ export declare class VueRouter {
   beforeResolve(guard: NavigationGuard): () => void
   /**
    * Add a navigation hook that is executed after every navigation. Returns a function that removes the registered hook.
+   * With {@link RouterOptions.afterEachOnFailure}, it is also executed for failed navigations and receives the failure
+   * as third argument.
    *
    * @param hook - navigation hook to add
    * @returns a function that removes the registered guard
    *
    * @example
    * ```js
-   * router.afterEach((to, from) => {
-   *   console.log('after navigation')
+   * router.afterEach((to, from, failure) => {
+   *   if (!failure) console.log('after navigation')
    * })
    * ```
    */
-  afterEach(hook: (to: Route, from: Route) => any): () => void
+  afterEach(hook: (to: Route, from: Route, failure?: NavigationFailure) => any): () => void
   /**
    * Programmatically navigate to a new URL by pushing an entry in the history stack.
    *
@@ -133,13 +207,40 @@ export declare class VueRouter {
   go(n: number): void
   /**
    * Go back in history if possible by calling `history.back()`. Equivalent to `router.go(-1)`.
+   *
+   * When a `fallback` location is given, only goes back if the previous entry belongs to the app and navigates to
+   * `fallback` otherwise, e.g. when the user landed on the current page through a deep link.
+   *
+   * @param options.fallback - location to navigate to when going back would leave the app
+   * @param options.replace - use `router.replace()` instead of `router.push()` to navigate to `fallback`
    */
-  back(): void
+  back(options?: { fallback?: RawLocation; replace?: boolean }): void
   /**
    * Go forward in history if possible by calling `history.forward()`. Equivalent to `router.go(1)`.
    */
   forward(): void
   match (raw: RawLocation, current?: Route, redirectedFrom?: Location): Route
+  /**
+   * Loads the async components of the route matching `location` ahead of time, so that navigating to it does not wait
+   * for them. Navigations and prefetches share the same load: a component is only fetched once.
+   *
+   * @param location - location to prefetch, relative locations are resolved against the current route
+   * @returns a promise resolving once all the components are loaded, rejected if one fails to load
+   */
+  prefetch(location: RawLocation): Promise<void>
+  /**
+   * Computes the head of a route by merging the `meta.head` of all its matched records, see {@link RouteHead}.
+   *
+   * @param location - location to compute the head for, defaults to the current route
+   */
+  getHead(location?: RawLocation): Head
+  /**
+   * Renders the head of a route as an HTML string, to be injected in the `<head>` of the page when rendering on the
+   * server. The rendered tags are taken over by the client once the {@link RouterOptions.head} option is enabled.
+   *
+   * @param location - location to render the head for, defaults to the current route
+   */
+  renderHead(location?: RawLocation): string
   getMatchedComponents(to?: RawLocation | Route): Component[]
   /**
    * This method queues a callback to be called when the router has completed the initial navigation, which means it has
@@ -159,6 +260,28 @@ export declare class VueRouter {
    * @param handler - error handler to register
    */
   onError(cb: ErrorHandler): void
+  /**
+   * Listens to the lifecycle of navigations. Every `navigation:start` is followed by exactly one of
+   * `navigation:end` (confirmed), `navigation:error` (failed with an error, also passed to {@link onError}, or with a
+   * {@link NavigationFailureType.chunkLoad} failure) or `navigation:cancel` (aborted, cancelled by a newer navigation,
+   * redirected, duplicated or timed out).
+   * `navigation:end` is emitted once the navigation is confirmed, right before the current route is updated and the
+   * `afterEach` hooks are called, so navigations started from those are reported after it.
+   *
+   * @param event - name of the event
+   * @param listener - called with the routes and the timing of the navigation
+   * @returns a function that removes the listener
+   *
+   * @example
+   * ```js
+   * router.on('navigation:start', () => progress.start())
+   * router.on('navigation:end', ({ to, duration }) => {
+   *   progress.done()
+   *   analytics.track(to.fullPath, duration)
+   * })
+   * ```
+   */
+  on(event: NavigationEventName, listener: (event: NavigationEvent) => void): () => void
   /**
    * @deprecated use {@link addRoute | router.addRoute()} instead
    */
@@ -177,6 +300,19 @@ export declare class VueRouter {
    * @param route - Route Record to add
    */
   addRoute(route: RouteConfig): void
+  /**
+   * Remove an existing route by its name. Its children and the records created for its aliases are removed as well. If
+   * the current location was matched by one of the removed records, it is resolved again.
+   *
+   * @param name - Name of the route to remove
+   */
+  removeRoute(name: string): void
+  /**
+   * Checks if a route with a given name exists
+   *
+   * @param name - Name of the route to check
+   */
+  hasRoute(name: string): boolean
   /**
    * Get the list of all the active route records.
    */
@@ -243,7 +379,17 @@ export enum NavigationFailureType {
    * A duplicated navigation is a navigation that failed because it was initiated while already being at the exact same
    * location.
    */
-  duplicated = 16
+  duplicated = 16,
+  /**
+   * A timed out navigation is a navigation that failed because a navigation guard did not settle within the
+   * configured `guardTimeout`.
+   */
+  timeout = 32,
+  /**
+   * A chunk load failure is a navigation that failed because an async component could not be loaded after the retries
+   * of {@link RouterOptions.chunkLoadRetry}. Only produced when that option is set.
+   */
+  chunkLoad = 64
 }
 
 /**
@@ -261,7 +407,235 @@ export interface NavigationFailure extends Error {
   /**
    * Type of the navigation. One of {@link NavigationFailureType}
    */
-  type: NavigationFailureType.aborted | NavigationFailureType.cancelled | NavigationFailureType.duplicated
+  type:
+    | NavigationFailureType.aborted
+    | NavigationFailureType.cancelled
+    | NavigationFailureType.duplicated
+    | NavigationFailureType.timeout
+    | NavigationFailureType.chunkLoad
+  /**
+   * Guard that did not settle in time. Only present on {@link NavigationFailureType.timeout} failures.
+   */
+  guard?: NavigationGuardInfo
+  /**
+   * Timeout in milliseconds that was exceeded. Only present on {@link NavigationFailureType.timeout} failures.
+   */
+  timeout?: number
+  /**
+   * Error of the last attempt to load the async component. Only present on {@link NavigationFailureType.chunkLoad}
+   * failures.
+   */
+  cause?: Error
+  /**
+   * Whether the page is being reloaded to the target location to recover. Only present on
+   * {@link NavigationFailureType.chunkLoad} failures.
+   */
+  reload?: boolean
+}
+
+type HeadValue<T> = T | ((route: Route) => T)
+
+/**
+ * Attributes of a `<meta>` or `<link>` tag. Tags with the same `key` are overridden by child routes. Without a `key`,
+ * meta tags are identified by their `name`, `property`, `http-equiv` or `charset`, link tags by their `rel`, `hreflang`
+ * and `href`.
+ */
+export interface HeadTag {
+  key?: string
+  [attribute: string]: string | undefined
+}
+
+/**
+ * Head of a route, set in `meta.head` (or as a function of the route). The heads of all the matched routes are merged
+ * from parent to child, child routes overriding their parents. Every field can also be a function of the route.
+ */
+export interface RouteHead {
+  /**
+   * Title of the page. Falls back to `meta.title`.
+   */
+  title?: HeadValue<string | null | undefined>
+  /**
+   * Rendered as `<meta name="description">`
+   */
+  description?: HeadValue<string | null | undefined>
+  /**
+   * Rendered as `<link rel="canonical">`
+   */
+  canonical?: HeadValue<string | null | undefined>
+  meta?: HeadValue<HeadTag[]>
+  link?: HeadValue<HeadTag[]>
+}
+
+export interface HeadOptions {
+  /**
+   * Template of the title, `%s` being replaced by the title of the route.
+   */
+  titleTemplate?: string | ((title: string) => string)
+  /**
+   * Head merged before the ones of the routes. Static tags of the page should be moved here to be managed by the router.
+   */
+  defaults?: RouteHead
+}
+
+/**
+ * Head computed for a route by {@link VueRouter.getHead}
+ */
+export interface Head {
+  title: string | null | undefined
+  meta: Record<string, string>[]
+  link: Record<string, string>[]
+}
+
+/**
+ * Focus management and route announcements, applied once the views are updated after a navigation.
+ */
+export interface A11yOptions {
+  /**
+   * Selectors of the element to focus, tried in order. Elements that are not focusable get `tabindex="-1"`. `false`
+   * leaves the focus alone. In `"navigation"` mode it replaces the focus reset of the Navigation API.
+   *
+   * @default ['[data-route-focus]', 'h1', 'main']
+   */
+  focus?: boolean | string | string[]
+  /**
+   * Message announced through an `aria-live` region. Defaults to the `title` of the deepest matched route with one in
+   * its `meta` (a string or a function receiving the route), falling back to `document.title`. `false` disables the
+   * announcements.
+   */
+  announce?: boolean | ((route: Route) => string | null | undefined)
+  /**
+   * `aria-live` value of the announcement region.
+   *
+   * @default 'polite'
+   */
+  politeness?: 'polite' | 'assertive'
+  /**
+   * Skip navigations that keep the same path, like query or hash updates.
+   *
+   * @default true
+   */
+  skipSamePath?: boolean
+  /**
+   * Skip back and forward navigations.
+   *
+   * @default false
+   */
+  skipPopState?: boolean
+}
+
+/**
+ * Retry policy for async components that fail to load, usually because a deploy removed the chunks an open page still
+ * references.
+ */
+export interface ChunkLoadRetryOptions {
+  /**
+   * Number of retries after the first failed attempt. Each retry calls the async component factory again, which only
+   * helps if the factory requests the chunk again: webpack does so after a `ChunkLoadError`, while browsers cache the
+   * failure of a native `import()` for the same URL (unless the factory adds a cache-busting query). For native
+   * imports, {@link ChunkLoadRetryOptions.reload | reload} is the actual recovery.
+   *
+   * @default 2
+   */
+  retries?: number
+  /**
+   * Delay in ms before the first retry, doubled for each following retry.
+   *
+   * @default 500
+   */
+  delay?: number
+  /**
+   * Reload the page to the target location when all the retries failed. A reload is skipped if the page was already
+   * reloaded for the same location within the last 10 seconds, which is tracked in `sessionStorage`.
+   *
+   * @default false
+   */
+  reload?: boolean
+  /**
+   * Tells if an error is a chunk load failure. Other errors are not retried and are reported to `router.onError()`.
+   *
+   * @default recognizes the errors of webpack and of native dynamic imports
+   */
+  isChunkLoadError?: (error: any) => boolean
+}
+
+/**
+ * Description of a navigation guard, used to report which guard timed out.
+ */
+export interface NavigationGuardInfo {
+  /**
+   * `"global"` for `beforeEach`/`beforeResolve`, `"record"` for `beforeEnter` and `"component"` for in-component guards
+   */
+  type: 'global' | 'record' | 'component'
+  /**
+   * Name of the guard, e.g. `"beforeEach"` or `"beforeRouteEnter"`
+   */
+  name: string
+  /**
+   * Path of the route record the guard belongs to
+   */
+  path?: string
+  /**
+   * Name of the view rendering the component the guard belongs to
+   */
+  view?: string
+}
+
+/**
+ * Step of an ongoing navigation: `"guards"` while running the leave, `beforeEach`, update and `beforeEnter` guards,
+ * `"loading"` while running the route loaders and resolving async components, `"resolving"` while running the
+ * `beforeRouteEnter` and `beforeResolve` guards. `"idle"` when no navigation is pending.
+ */
+export type NavigationPhase = 'idle' | 'guards' | 'loading' | 'resolving'
+
+/**
+ * State of the ongoing navigation, see {@link VueRouter.navigationState | router.navigationState}.
+ */
+export interface NavigationState {
+  isNavigating: boolean
+  /**
+   * Route being navigated to
+   */
+  pending: Route | null
+  /**
+   * Route being navigated from
+   */
+  from: Route | null
+  phase: NavigationPhase
+  /**
+   * Time the navigation started at, see {@link NavigationEvent.startTime}
+   */
+  startTime: number | null
+}
+
+export type NavigationEventName =
+  | 'navigation:start'
+  | 'navigation:end'
+  | 'navigation:error'
+  | 'navigation:cancel'
+
+/**
+ * Payload of the navigation lifecycle events, see {@link VueRouter.on | router.on()}.
+ */
+export interface NavigationEvent {
+  to: Route
+  from: Route
+  /**
+   * Time the navigation started at, from `performance.now()` when available, `Date.now()` otherwise
+   */
+  startTime: number
+  /**
+   * Time in milliseconds the navigation took. Absent on `navigation:start`.
+   */
+  duration?: number
+  /**
+   * Reason of a `navigation:cancel` event
+   */
+  failure?: NavigationFailure
+  /**
+   * Error of a `navigation:error` event, the {@link NavigationFailureType.chunkLoad} failure when async components
+   * still fail to load after the retries
+   */
+  error?: any
 }
 
 /**
@@ -283,12 +657,17 @@ export interface RouterOptions {
    *
    * default: `"hash"` (in browser) | `"abstract"` (in Node.js)
    *
-   * available values: `"hash" | "history" | "abstract"`
+   * available values: `"hash" | "history" | "navigation" | "abstract" | "memory"`
    * - `"hash"`: uses the URL hash for routing. Works in all Vue-supported browsers, including those that do not support
    *   HTML5 History API.
    * - `"history"`: requires HTML5 History API and server config. See HTML5 History Mode.
+   * - `"navigation"`: uses the Navigation API (`window.navigation`) to intercept same-origin link clicks, GET form
+   *   submissions and back/forward navigations. Requires the same server config as `"history"` and falls back to it
+   *   in browsers without the Navigation API.
    * - `"abstract"`: works in all JavaScript environments, e.g. server-side with Node.js. **The router will
    *   automatically be forced into this mode if no browser API is present.**
+   * - `"memory"`: like `"abstract"`, never touches the URL, but persists its history stack, current position and entry
+   *   state to {@link storage} and restores them when the router is initialized.
    */
   mode?: RouterMode
   fallback?: boolean
@@ -311,6 +690,89 @@ export interface RouterOptions {
    * to handle query parsing.
    */
   stringifyQuery?: (query: Object) => string
+  /**
+   * Built-in query format used when no custom {@link parseQuery} / {@link stringifyQuery} is provided.
+   *
+   * - `arrays`: how arrays are written. `"repeat"` (`a=1&a=2`, default), `"brackets"` (`a[]=1&a[]=2`), `"indices"`
+   *   (`a[0]=1&a[1]=2`) or `"comma"` (`a=1,2`).
+   * - `nested`: support nested objects with the bracket notation, e.g. `filter[status]=open&filter[tags][]=a`.
+   */
+  queryFormat?: {
+    arrays?: 'repeat' | 'brackets' | 'indices' | 'comma'
+    nested?: boolean
+  }
+  /**
+   * Match routes by how specific their path is instead of the order in which they were declared. Static segments rank
+   * higher than params, params higher than optional params and the wildcard always comes last, so `/users/new` wins
+   * over `/users/:id` regardless of which one is declared first. Routes with the same score keep their declaration
+   * order.
+   *
+   * @default false
+   */
+  rankRoutes?: boolean
+  /**
+   * Index the static leading segments of every route path in a prefix tree so that only the routes sharing a prefix
+   * with the target path are tested against their regular expression. Resolves to the exact same routes as the default
+   * matcher and is meant for applications with a very large number of routes.
+   *
+   * @default false
+   */
+  trieMatcher?: boolean
+  /**
+   * Where the `"memory"` mode persists its history stack: `"session"` (default), `"local"`, a custom object with
+   * `getItem`/`setItem`, or `false` to keep it in memory only.
+   */
+  storage?: 'session' | 'local' | HistoryStorage | false
+  /**
+   * Name of the {@link RouterView} rendering the target route when navigating with a background route. See
+   * {@link Location.background}.
+   *
+   * @default 'modal'
+   */
+  modalView?: string
+  /**
+   * Maximum time in milliseconds a navigation guard can take before the navigation fails with
+   * {@link NavigationFailureType.timeout}. Can be overridden per route with {@link RouteConfig.guardTimeout}.
+   * Async components are not affected.
+   *
+   * @default undefined (no timeout)
+   */
+  guardTimeout?: number
+  /**
+   * Also call the {@link VueRouter.afterEach | afterEach} hooks for failed navigations (redirected, aborted, cancelled,
+   * duplicated or timed out), passing the {@link NavigationFailure} as third argument.
+   *
+   * @default false
+   */
+  afterEachOnFailure?: boolean
+  /**
+   * Retry async route components that fail to load, see {@link ChunkLoadRetryOptions}. `true` uses the default policy.
+   * Navigations that still fail are rejected with a {@link NavigationFailureType.chunkLoad} failure and the last
+   * loading error is still passed to `router.onError()`.
+   *
+   * @default false
+   */
+  chunkLoadRetry?: boolean | ChunkLoadRetryOptions
+  /**
+   * Move the focus and announce the new page to screen readers after each navigation, see {@link A11yOptions}.
+   * `true` uses the default options. The initial navigation is left to the browser.
+   *
+   * @default false
+   */
+  a11y?: boolean | A11yOptions
+  /**
+   * Update the title and the meta and link tags of the page from the `meta.head` of the matched routes after each
+   * navigation, see {@link RouteHead}. `true` uses the default options.
+   *
+   * @default false
+   */
+  head?: boolean | HeadOptions
+  /**
+   * Key used to persist the `"memory"` mode history stack. Use different keys for several routers sharing a storage.
+   *
+   * @default 'vue-router-memory'
+   */
+  storageKey?: string
   /**
    * Function to control scrolling when navigating between pages. Can return a Promise to delay scrolling.
    *
@@ -331,6 +793,44 @@ export interface PathToRegexpOptions {
   end?: boolean
 }
 
+/**
+ * Type of a route param. Either the name of a built-in type, an array of allowed values or an object describing how to
+ * parse the param from the URL and how to stringify it back.
+ */
+export type RouteParamType =
+  | 'string'
+  | 'number'
+  | 'boolean'
+  | 'date'
+  | ReadonlyArray<string>
+  | {
+      parse: (value: string) => any
+      stringify?: (value: any) => string
+    }
+
+/**
+ * Declaration of a query param of a route. Either a {@link RouteParamType} or an object describing the type, whether
+ * the param is an array, its default value and the values it accepts.
+ */
+export type RouteQueryField =
+  | RouteParamType
+  | {
+      type?: RouteParamType
+      /**
+       * Always expose the param as an array. Otherwise only the first valid value is kept.
+       */
+      array?: boolean
+      /**
+       * Value used when the param is missing or invalid. Use a function to return arrays or objects. Values equal to the
+       * default are left out of the URL.
+       */
+      default?: any
+      /**
+       * Accepted values. Any other value is treated as invalid.
+       */
+      values?: ReadonlyArray<any>
+    }
+
 interface _RouteConfigBase {
   path: string
   name?: string
@@ -339,18 +839,92 @@ interface _RouteConfigBase {
   alias?: string | string[]
   meta?: RouteMeta
   beforeEnter?: NavigationGuard
+  /**
+   * Types of the params of the route. Matched params are parsed into their type and exposed as such in `$route.params`,
+   * params passed to `router.push()` are stringified back. A param value that cannot be parsed (`parse` returning
+   * `undefined` or throwing) makes the route not match. Child routes inherit the param types of their parent.
+   */
+  params?: Dictionary<RouteParamType>
+  /**
+   * Declared query params of the route. Values of `$route.query` are coerced to their type and missing ones are filled
+   * with their default. Child routes inherit the declarations of their parent.
+   */
+  query?: Dictionary<RouteQueryField>
+  /**
+   * Drop query params that are not declared in `query` instead of keeping them as strings. Inherited by child routes.
+   *
+   * @default false
+   */
+  strictQuery?: boolean
+  /**
+   * Overrides {@link RouterOptions.guardTimeout} when navigating to this route. `0` disables the timeout. Inherited by
+   * child routes.
+   */
+  guardTimeout?: number
+  /**
+   * Component rendered by the `<router-view>` while an async component of the route is loading, unless the view
+   * provides a `loading` slot. Setting it makes the route non-blocking, see {@link _RouteConfigBase.blocking}.
+   */
+  loadingComponent?: Component
+  /**
+   * Component rendered by the `<router-view>` when an async component of the route fails to load or times out, unless
+   * the view provides an `error` slot. It receives the `error` and a `retry` function as props. Setting it makes the
+   * route non-blocking, see {@link _RouteConfigBase.blocking}.
+   */
+  errorComponent?: Component
+  /**
+   * Delay in ms before the loading state is rendered, nothing is rendered until then.
+   *
+   * @default 200
+   */
+  loadingDelay?: number
+  /**
+   * Time in ms after which a loading async component is rendered as failed. No timeout by default.
+   */
+  loadingTimeout?: number
+  /**
+   * Whether the navigation waits for the async components of the route to load. Non-blocking routes are confirmed
+   * right away and their `<router-view>` renders the loading and error states instead.
+   *
+   * The in-component guards (`beforeRouteEnter`, `beforeRouteUpdate` and `beforeRouteLeave`) of a non-blocking
+   * async component are only known once it is loaded, so they are not called by navigations that happen before
+   * that. Keep the route blocking or {@link VueRouter.prefetch | prefetch} it if these guards are needed.
+   *
+   * @default `true` unless `loadingComponent` or `errorComponent` is set
+   */
+  blocking?: boolean
   caseSensitive?: boolean
   pathToRegexpOptions?: PathToRegexpOptions
 }
 
+/**
+ * Data loader of a route. Loaders of all the matched routes run in parallel after the `beforeEnter` guards and must
+ * resolve to an object: its properties are merged into `$route.data` and passed to the component of the view as the
+ * props it declares. A rejected loader fails the navigation and is reported to `router.onError()`. `signal` is aborted
+ * when the navigation is cancelled, see {@link NavigationGuard}.
+ */
+export type RouteLoader = (
+  to: Route,
+  from: Route,
+  signal: AbortSignal | undefined
+) => Dictionary<any> | void | Promise<Dictionary<any> | void>
+
 interface RouteConfigSingleView extends _RouteConfigBase {
   component?: Component
   props?: boolean | Object | RoutePropsFunction
+  /**
+   * Loads the data of the route before the navigation is confirmed, see {@link RouteLoader}.
+   */
+  loader?: RouteLoader
 }
 
 interface RouteConfigMultipleViews extends _RouteConfigBase {
   components?: Dictionary<Component>
   props?: Dictionary<boolean | Object | RoutePropsFunction>
+  /**
+   * Data loaders of the named views, see {@link RouteLoader}.
+   */
+  loaders?: Dictionary<RouteLoader>
 }
 
 export type RouteConfig = RouteConfigSingleView | RouteConfigMultipleViews
@@ -401,25 +975,58 @@ export interface Location {
   name?: string
   path?: string
   hash?: string
-  query?: Dictionary<string | (string | null)[] | null | undefined>
-  params?: Dictionary<string>
+  query?: Dictionary<any>
+  params?: Dictionary<any>
   append?: boolean
   replace?: boolean
+  /**
+   * Payload stored in the history entry created by the navigation. Exposed as `$route.state` and restored when
+   * navigating back and forth or reloading the page. Must be serializable with the structured clone algorithm (or
+   * with `JSON.stringify` in `"memory"` mode). Not part of the URL.
+   */
+  state?: any
+  /**
+   * Keep rendering another route behind the target one, e.g. a list page behind an item opened as a modal. `true`
+   * keeps the current route (or its own background when navigating between modals). The background is stored in the
+   * history entry and restored when navigating back and forth; opening the URL directly renders the full page.
+   *
+   * Every {@link RouterView} renders the background route except the one named after
+   * {@link RouterOptions.modalView}, which renders the `default` component of the target route.
+   */
+  background?: string | Location | boolean
 }
 
 export interface Route {
   path: string
   name?: string | null
   hash: string
-  query: Dictionary<string | (string | null)[]>
-  params: Dictionary<string>
+  query: Dictionary<any>
+  params: Dictionary<any>
   fullPath: string
   matched: RouteRecord[]
   redirectedFrom?: string
   meta?: RouteMeta
+  /**
+   * Payload passed with `router.push({ path, state })`, see {@link Location.state}.
+   */
+  state?: any
+  /**
+   * Route rendered behind this one, see {@link Location.background}.
+   */
+  background?: Route
+  /**
+   * Results of the {@link RouteLoader | loaders} of the matched routes, merged from parent to child. Only present when
+   * one of the matched routes has a loader.
+   */
+  data?: Dictionary<any>
 }
 
-export interface RouteMeta extends Record<string | number | symbol, any> {}
+export interface RouteMeta extends Record<string | number | symbol, any> {
+  /**
+   * Head of the route, see {@link RouteHead} and {@link RouterOptions.head}
+   */
+  head?: RouteHead | ((route: Route) => RouteHead)
+}
 
 export interface RouterLinkProps {
   /**
@@ -434,6 +1041,13 @@ export interface RouterLinkProps {
    * @default false
    */
   replace?: boolean
+  /**
+   * Go back in history instead of navigating to `to` when the previous entry belongs to the app. `to` is used as the
+   * fallback when going back would leave the app.
+   *
+   * @default false
+   */
+  back?: boolean
   /**
    * Setting `append` prop always appends the relative path to the current path. For example, assuming we are navigating
    * from `/a` to a relative link `b`, without `append` we will end up at `/b`, but with append we will end up at
@@ -505,6 +1119,14 @@ export interface RouterLinkProps {
     | 'time'
     | 'true'
     | 'false'
+  /**
+   * Prefetch the async components of the target route, see {@link VueRouter.prefetch | router.prefetch()}:
+   * `"hover"` (or `true`) when the link is hovered, focused or touched, `"visible"` when the link enters the viewport
+   * (falls back to `"hover"` without `IntersectionObserver`), `"immediate"` as soon as the link is mounted.
+   *
+   * @default false
+   */
+  prefetch?: boolean | 'hover' | 'visible' | 'immediate'
 }
 
 export interface RouterLinkSlotArgument {
@@ -560,11 +1182,61 @@ export interface RouterViewProps {
   name?: string
 }
 
+export interface RouterViewSlotArgument {
+  /**
+   * Component matched by the view, to be rendered with `<component :is="Component" />`. It renders with the props,
+   * attributes and listeners of the view merged with the ones set on `<component>`. `null` when nothing matches.
+   */
+  Component: Component | null
+  /**
+   * Route rendered by the view, which is the background route for views rendered behind a modal route
+   */
+  route: Route
+}
+
+export interface RouterViewErrorSlotArgument {
+  /**
+   * Error of the async component that failed to load or timed out
+   */
+  error: Error
+  /**
+   * Loads the async component again
+   */
+  retry: () => void
+  /**
+   * Route rendered by the view
+   */
+  route: Route
+}
+
 /**
  * Component to display the current route the user is at.
+ *
+ * @example
+ * ```html
+ * <router-view v-slot="{ Component, route }">
+ *   <transition :name="route.meta.transition || 'fade'">
+ *     <component :is="Component" />
+ *   </transition>
+ * </router-view>
+ * ```
+ *
+ * The `loading` and `error` slots render the states of the async components of non-blocking routes:
+ *
+ * ```html
+ * <router-view>
+ *   <template #loading>Loading...</template>
+ *   <template #error="{ error, retry }"><button @click="retry">Retry</button></template>
+ * </router-view>
+ * ```
  */
 export declare const RouterView: new () => {
   $props: RouterViewProps
+  $scopedSlots: {
+    default?: ({ Component, route }: RouterViewSlotArgument) => VNode[] | undefined
+    loading?: ({ route }: { route: Route }) => VNode[] | undefined
+    error?: ({ error, retry, route }: RouterViewErrorSlotArgument) => VNode[] | undefined
+  }
 }
 
 /**
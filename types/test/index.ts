@@ -6,7 +6,11 @@ import {
   RouteRecord,
   RedirectOption,
   NavigationFailure,
-  NavigationFailureType
+  NavigationFailureType,
+  RouterHistoryEntry,
+  NavigationGuardReturn,
+  NavigationGuardInfo,
+  Head
 } from '../index'
 
 Vue.use(VueRouter)
@@ -26,6 +30,19 @@ if (
 
 let navigationFailure = new Error() as NavigationFailure
 navigationFailure.to.fullPath.split('/')
+if (
+  VueRouter.isNavigationFailure(err, VueRouter.NavigationFailureType.timeout)
+) {
+  const timedOutGuard: NavigationGuardInfo | undefined = err.guard
+  const guardTimeout: number | undefined = err.timeout
+}
+if (
+  VueRouter.isNavigationFailure(err, VueRouter.NavigationFailureType.chunkLoad)
+) {
+  const chunkError: Error | undefined = err.cause
+  const reloading: boolean | undefined = err.reload
+}
+const defaultRetryRouter = new VueRouter({ chunkLoadRetry: true, a11y: true })
 
 const Hook: ComponentOptions<Vue> = {
   template: '<div>hook</div>',
@@ -65,6 +82,24 @@ const router = new VueRouter({
   fallback: false,
   linkActiveClass: 'active',
   linkExactActiveClass: 'exact-active',
+  rankRoutes: true,
+  trieMatcher: true,
+  modalView: 'overlay',
+  guardTimeout: 5000,
+  afterEachOnFailure: true,
+  a11y: {
+    focus: ['[data-route-focus]', 'h1'],
+    announce: to => to.meta && to.meta.title,
+    politeness: 'assertive',
+    skipSamePath: false,
+    skipPopState: true
+  },
+  head: {
+    titleTemplate: '%s | App',
+    defaults: { meta: [{ charset: 'utf-8' }] }
+  },
+  chunkLoadRetry: { retries: 3, delay: 1000, reload: true, isChunkLoadError: err => err.name === 'ChunkLoadError' },
+  queryFormat: { arrays: 'brackets', nested: true },
   scrollBehavior: (to, from, savedPosition) => {
     if (from.path === '/') {
       return { selector: '#app' }
@@ -135,6 +170,69 @@ const router = new VueRouter({
         }
       ]
     },
+    {
+      path: '/typed/:id/:active/:day/:kind/:custom',
+      params: {
+        id: 'number',
+        active: 'boolean',
+        day: 'date',
+        kind: ['list', 'grid'],
+        custom: {
+          parse: (value: string) => value.split('-'),
+          stringify: (value: string[]) => value.join('-')
+        }
+      }
+    },
+    {
+      path: '/search',
+      strictQuery: true,
+      guardTimeout: 0,
+      query: {
+        q: 'string',
+        page: { type: 'number', default: 1 },
+        tags: { array: true, default: () => [] },
+        sort: { values: ['asc', 'desc'], default: 'asc' }
+      }
+    },
+    {
+      path: '/users/:id',
+      component: Foo,
+      loader: async (to, from, signal) => {
+        const res = await fetch(`/api/users/${to.params.id}`, { signal })
+        return { user: await res.json() }
+      }
+    },
+    {
+      path: '/dashboard',
+      components: { default: Foo, sidebar: Bar },
+      loaders: {
+        default: to => ({ stats: to.query.range }),
+        sidebar: () => Promise.resolve({ links: [] })
+      }
+    },
+    {
+      path: '/reports',
+      component: Async,
+      loadingComponent: { template: '<div>loading</div>' },
+      errorComponent: { props: ['error', 'retry'], template: '<button @click="retry">{{ error.message }}</button>' },
+      loadingDelay: 100,
+      loadingTimeout: 10000
+    },
+    { path: '/lazy', component: Async, blocking: false },
+    {
+      path: '/articles/:id',
+      component: Foo,
+      meta: {
+        nested: { foo: '' },
+        head: {
+          title: route => `Article ${route.params.id}`,
+          description: 'An article',
+          canonical: route => `https://example.com${route.path}`,
+          meta: [{ property: 'og:type', content: 'article' }],
+          link: [{ key: 'feed', rel: 'alternate', type: 'application/rss+xml', href: '/feed.xml' }]
+        }
+      }
+    },
     { path: '/home', alias: '/' },
     { path: '/foo', props: true },
     { path: '/bar', props: { id: 123 } },
@@ -145,6 +243,26 @@ const router = new VueRouter({
 
 const App: Vue = router.app
 const mode: string = router.mode
+const historyEntries: RouterHistoryEntry[] = router.history.getEntries()
+const historyPosition: number = historyEntries[0].position
+const historyIndex: number = router.history.getCurrentIndex()
+const canGoBack: boolean = router.history.canGoBack()
+const canGoForward: boolean = router.history.canGoForward()
+const isNavigating: boolean = router.navigationState.isNavigating
+const pendingRoute: Route | null = router.navigationState.pending
+const navigationPhase: 'idle' | 'guards' | 'loading' | 'resolving' = router.navigationState.phase
+const navigationRouter = new VueRouter({ mode: 'navigation' })
+const memoryRouter = new VueRouter({ mode: 'memory', storage: 'local', storageKey: 'widget' })
+const memoryStore: { [key: string]: string } = {}
+const customMemoryRouter = new VueRouter({
+  mode: 'memory',
+  storage: {
+    getItem: key => memoryStore[key],
+    setItem: (key, value) => {
+      memoryStore[key] = value
+    }
+  }
+})
 
 const route: Route = router.currentRoute
 const path: string = route.path
@@ -176,6 +294,15 @@ const unregister = router.beforeEach((to, from, next) => {
 
 unregister()
 
+router.beforeEach(async (to, from): Promise<NavigationGuardReturn> => {
+  if (to.params.id === 'new') return '/login'
+  return to.fullPath !== from.fullPath
+})
+
+router.beforeEach((to, from, next, signal) => {
+  fetch(to.fullPath, { signal }).then(() => next(), next)
+})
+
 router.beforeResolve((to, from, next) => {
   to.params
   from.params
@@ -187,6 +314,27 @@ router.afterEach((to, from) => {
   from.params
 })
 
+router.afterEach((to, from, failure) => {
+  if (
+    failure &&
+    VueRouter.isNavigationFailure(failure, VueRouter.NavigationFailureType.redirected)
+  ) {
+    failure.to.fullPath
+  }
+})
+
+const stopProgress = router.on('navigation:start', ({ to, startTime }) => {
+  to.fullPath.split('/')
+  startTime.toFixed()
+})
+stopProgress()
+router.on('navigation:end', event => {
+  const duration: number | undefined = event.duration
+})
+router.on('navigation:cancel', ({ failure }) => {
+  failure && failure.type
+})
+
 router.push({
   path: '/',
   params: {
@@ -226,9 +374,20 @@ router
 router.onReady(() => {})
 
 router.addRoutes([{ path: '/more' }])
+router.addRoute({ path: '/removable', name: 'removable' })
+const hasRemovable: boolean = router.hasRoute('removable')
+router.removeRoute('removable')
 
 router.go(-1)
+router.push({ path: '/', state: { fromSearch: true } })
+const routeState: any = router.currentRoute.state
+router.push({ path: '/items/42', background: true })
+router.push({ path: '/items/42', background: '/items' })
+const backgroundRoute: Route | undefined = router.currentRoute.background
+const routeData: { [key: string]: any } | undefined = router.currentRoute.data
 router.back()
+router.back({ fallback: '/list' })
+router.back({ fallback: { name: 'home' }, replace: true })
 router.forward()
 
 const Components: (
@@ -238,6 +397,10 @@ const Components: (
 )[] = router.getMatchedComponents()
 
 const match: Route = router.match('/more')
+router.prefetch({ name: 'home' }).then(() => {})
+const head: Head = router.getHead('/articles/1')
+const headTitle: string | null | undefined = head.title
+const headHTML: string = router.renderHead()
 
 const vm = new Vue({
   router,